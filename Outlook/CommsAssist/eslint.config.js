@@ -1,5 +1,6 @@
 import eslintJs from "@eslint/js";
 import officeAddins from "eslint-plugin-office-addins";
+import globals from "globals";
 
 export default [
     {
@@ -39,4 +40,12 @@ export default [
             },
         },
     },
-];
\ No newline at end of file
+    {
+        files: ["src/server/**/*.js", "src/build/**/*.js", "test/**/*.js"],
+        languageOptions: {
+            globals: {
+                ...globals.node,
+            },
+        },
+    },
+];
@@ -10,6 +10,16 @@ SRC_DIR="src/outlook"
 RESOURCES_DIR="$SRC_DIR/resources"
 DIST_DIR="dist"
 DIST_PUBLIC_DIR="$DIST_DIR/public"
+DEV_ADDIN_URL="https://localhost:3000/"
+
+# Where the add-in is hosted; written into the manifest and the send-time handler
+ADDIN_URL="${COMMSASSIST_ADDIN_URL:-$DEV_ADDIN_URL}"
+ADDIN_URL="${ADDIN_URL%/}/"
+ADDIN_URL_PATTERN='^https://[^[:space:]|&"]+$'
+if [[ ! "$ADDIN_URL" =~ $ADDIN_URL_PATTERN ]]; then
+    echo "COMMSASSIST_ADDIN_URL must be an https:// URL: $ADDIN_URL" >&2
+    exit 1
+fi
 
 echo "Starting build process..."
 
@@ -44,12 +54,22 @@ cat "$RESOURCES_DIR/pane.html" | while read -r line; do
     fi
 done > "$DIST_PUBLIC_DIR/pane.html"
 
+# Step 3b: Bundle the send-time (OnMessageSend) handler after pane.js, whose helpers it reuses
+echo "Bundling launchevent.js..."
+cat "$SRC_DIR/pane.js" "$SRC_DIR/launchevent.js" \
+    | sed "s|^const SEND_CHECK_ADDIN_BASE_URL = .*|const SEND_CHECK_ADDIN_BASE_URL = \"$ADDIN_URL\";|" \
+    > "$DIST_PUBLIC_DIR/launchevent.js"
+cp "$RESOURCES_DIR/launchevent.html" "$DIST_PUBLIC_DIR/launchevent.html"
+
 # Step 4: Copy remaining resource files to the correct locations
-echo "Copying manifest.xml and other resources..."
-cp "$RESOURCES_DIR/manifest.xml" "$DIST_DIR/manifest.xml"
+echo "Copying manifest.xml (add-in URL: $ADDIN_URL) and other resources..."
+sed "s|$DEV_ADDIN_URL|$ADDIN_URL|g" "$RESOURCES_DIR/manifest.xml" > "$DIST_DIR/manifest.xml"
 cp "$RESOURCES_DIR/server.xml" "$DIST_DIR/server.xml"
 
 cp $RESOURCES_DIR/*.png "$DIST_PUBLIC_DIR/"
-cp $RESOURCES_DIR/config.json "$DIST_PUBLIC_DIR/config/"
+
+# Step 5: Build config.json from the base file, the CONFIG_PROFILE overlay and the environment
+echo "Building config.json (profile: ${CONFIG_PROFILE:-none})..."
+node src/build/build-config.js "$DIST_PUBLIC_DIR/config/config.json"
 
 echo "Build process completed successfully! Final files are in the 'dist' folder."
@@ -0,0 +1,180 @@
+/**
+ * build-config.js — produces the deployed config.json
+ * - Starts from src/outlook/resources/config.json.
+ * - Merges the profile overlay config.<profile>.json (CONFIG_PROFILE=dev|test|prod, or --profile).
+ * - Substitutes ${NAME} and ${NAME:-default} in string values from the environment.
+ * - Fails the build when a referenced variable is unset or a <ENTER...> placeholder is left.
+ * - Prompts and regex patterns are copied as they are, the same values validateConfig in pane.js skips.
+ *
+ * Usage: node src/build/build-config.js <output file> [--profile <name>]
+ * Schema validation happens in the pane (validateConfig in pane.js) so it also covers hand-edited deployments.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+/* ============================
+   Config / Constants
+   ============================ */
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+const RESOURCES_DIR = path.join(PROJECT_ROOT, "src", "outlook", "resources");
+const ENV_REFERENCE = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+const PLACEHOLDER = /<ENTER[^>]*>/i;
+
+/**
+ * Paths of the prompt (PROMPT_SCHEMA) and format: "regex" values in CONFIG_SCHEMA (pane.js), where "${name}"
+ * and "<ENTER...>" are text rather than build variables. "[]" stands for any array index.
+ * test/build-config.test.js checks this list against the schema.
+ * @type {Array<string>}
+ */
+export const VERBATIM_PATHS = [
+  "send_check_placeholder_pattern",
+  "send_check_attachment_pattern",
+  "send_check_sensitive_patterns[].pattern",
+  "redaction_patterns[].pattern",
+  "subject_ticket_pattern",
+  "personas[].systemPrompt",
+  "quickReplyUserInstruction",
+  "chatSystemPrompt",
+  "helpdeskPrompt",
+  "sendCheckPrompt",
+  "translatePrompt",
+  "subjectPrompt",
+  "analysisPrompt",
+  "actionsPrompt",
+  "sentimentPrompt",
+  "urgencyPrompt",
+  "intentionPrompt"
+];
+
+/**
+ * Build logger, matching the proxy's prefix style.
+ * @param {string} msg
+ */
+function log(msg) {
+  console.log(`[CONFIG] ${msg}`);
+}
+
+/* ============================
+   Merge / substitution
+   ============================ */
+
+/**
+ * Overlay one config on another: plain objects merge key by key, anything else replaces.
+ * @param {any} base
+ * @param {any} overlay
+ * @returns {any}
+ */
+export function mergeConfig(base, overlay) {
+  const isPlain = (v) => v && typeof v === "object" && !Array.isArray(v);
+  if (!isPlain(base) || !isPlain(overlay)) return overlay;
+  const out = { ...base };
+  for (const [k, v] of Object.entries(overlay)) out[k] = k in base ? mergeConfig(base[k], v) : v;
+  return out;
+}
+
+/**
+ * Verbatim paths for a config: VERBATIM_PATHS plus the keys its personas name as systemPromptKey,
+ * which the pane also treats as prompts.
+ * @param {any} config
+ * @returns {Set<string>}
+ */
+export function verbatimPaths(config) {
+  const personas = Array.isArray(config?.personas) ? config.personas : [];
+  return new Set([...VERBATIM_PATHS, ...personas.map((p) => p && p.systemPromptKey).filter((k) => typeof k === "string" && k)]);
+}
+
+/**
+ * Whether a key path (e.g. "personas[2].systemPrompt") is one of the verbatim paths.
+ * @param {string} at
+ * @param {Set<string>} verbatim
+ * @returns {boolean}
+ */
+function isVerbatim(at, verbatim) {
+  return verbatim.has(at.replace(/\[\d+\]/g, "[]"));
+}
+
+/**
+ * Replace ${NAME} / ${NAME:-default} in every string value outside the verbatim paths.
+ * @param {any} value
+ * @param {NodeJS.ProcessEnv} env
+ * @param {Array<string>} missing Receives the names of unset variables without a default.
+ * @param {Set<string>} [verbatim]
+ * @param {string} [at]
+ * @returns {any}
+ */
+export function substituteEnv(value, env, missing, verbatim = new Set(), at = "") {
+  if (at && isVerbatim(at, verbatim)) return value;
+  if (typeof value === "string") {
+    return value.replace(ENV_REFERENCE, (m, name, fallback) => {
+      if (env[name] !== undefined && env[name] !== "") return env[name];
+      if (fallback !== undefined) return fallback;
+      missing.push(name);
+      return m;
+    });
+  }
+  if (Array.isArray(value)) return value.map((v, i) => substituteEnv(v, env, missing, verbatim, `${at}[${i}]`));
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substituteEnv(v, env, missing, verbatim, at ? `${at}.${k}` : k)]));
+  return value;
+}
+
+/**
+ * Key paths outside the verbatim paths whose values still hold a <ENTER...> template placeholder.
+ * @param {any} value
+ * @param {string} [at]
+ * @param {Set<string>} [verbatim]
+ * @returns {Array<string>}
+ */
+export function findPlaceholders(value, at = "", verbatim = new Set()) {
+  if (at && isVerbatim(at, verbatim)) return [];
+  if (typeof value === "string") return PLACEHOLDER.test(value) ? [at] : [];
+  if (Array.isArray(value)) return value.flatMap((v, i) => findPlaceholders(v, `${at}[${i}]`, verbatim));
+  if (value && typeof value === "object") return Object.entries(value).flatMap(([k, v]) => findPlaceholders(v, at ? `${at}.${k}` : k, verbatim));
+  return [];
+}
+
+/**
+ * Build the deployed config for a profile.
+ * @param {{profile?:string, env?:NodeJS.ProcessEnv, resourcesDir?:string}} [options]
+ * @returns {Object}
+ * @throws {Error} When the overlay is missing, a variable is unset or a placeholder remains.
+ */
+export function buildConfig({ profile = "", env = process.env, resourcesDir = RESOURCES_DIR } = {}) {
+  const read = (file) => JSON.parse(fs.readFileSync(path.join(resourcesDir, file), "utf8"));
+  let config = read("config.json");
+  if (profile) {
+    const overlay = `config.${profile}.json`;
+    if (!fs.existsSync(path.join(resourcesDir, overlay))) throw new Error(`No overlay ${overlay} for profile "${profile}"`);
+    config = mergeConfig(config, read(overlay));
+    log(`Applied profile overlay ${overlay}`);
+  }
+  const verbatim = verbatimPaths(config);
+  const missing = [];
+  config = substituteEnv(config, env, missing, verbatim);
+  if (missing.length) throw new Error(`Environment variables not set: ${[...new Set(missing)].join(", ")}`);
+  const placeholders = findPlaceholders(config, "", verbatim);
+  if (placeholders.length) throw new Error(`Placeholder values left in: ${placeholders.join(", ")}`);
+  return config;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const flag = args.indexOf("--profile");
+  const profile = flag >= 0 ? args[flag + 1] || "" : process.env.CONFIG_PROFILE || "";
+  const output = args.filter((a, i) => flag < 0 || (i !== flag && i !== flag + 1))[0];
+  if (!output) {
+    console.error("Usage: node src/build/build-config.js <output file> [--profile <name>]");
+    process.exit(2);
+  }
+  try {
+    const config = buildConfig({ profile });
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, `${JSON.stringify(config, null, 4)}\n`);
+    log(`Wrote ${output}${profile ? ` (profile ${profile})` : ""}`);
+  } catch (e) {
+    console.error(`[CONFIG] ${e.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * launchevent.js — CommsAssist send-time checks (Smart Alerts)
+ * - Handles the OnMessageSend LaunchEvent declared in manifest.xml.
+ * - Bundled after pane.js (npm-dist.sh), so it reuses loadConfig/getVar/callGeminiAPI and the thread splitter.
+ * - Checks: hostile tone (model), attachment mentioned but missing, unresolved placeholders, sensitive data.
+ * - Each check is "block", "warn" or "off" via config.json `send_check_rules`; anything that fails open allows the send.
+ */
+/* global configMap, loadConfig, getVar, log, officeAsync, callGeminiAPI, extractModelText, splitQuotedHistory, luhnValid, DEFAULT_PROXY_ENDPOINT, URL */
+
+/* ============================
+   Config / Constants
+   ============================ */
+
+/** Default level per check when config.json has no `send_check_rules`. */
+const SEND_CHECK_DEFAULT_RULES = { tone: "warn", attachment: "warn", placeholders: "block", sensitive: "block" };
+const SEND_CHECK_TIMEOUT_MS = 15000;
+/** Smart Alert error messages are cut off by Outlook beyond this length. */
+const SMART_ALERT_MAX_CHARS = 500;
+
+/** Matched against the body only; subjects carry tags such as [EXTERNAL] that look like placeholders. */
+const DEFAULT_PLACEHOLDER_PATTERN = "\\[(?:[A-Z][A-Z0-9 _-]{1,30})\\]|\\{\\{[^}]{1,40}\\}\\}|<ENTER[^>]*>|\\bTODO\\b|\\bXXX+\\b";
+const DEFAULT_ATTACHMENT_MENTION_PATTERN = "\\b(attached|attachment|attaching|enclosed|see the file|find the file)\\b";
+
+/** Default sensitive data patterns; `luhn` marks card-number candidates that must pass the checksum. */
+const DEFAULT_SENSITIVE_PATTERNS = [
+  { name: "payment card number", pattern: "\\b(?:\\d[ -]?){13,19}\\b", luhn: true },
+  { name: "US social security number", pattern: "\\b\\d{3}-\\d{2}-\\d{4}\\b" },
+  { name: "password", pattern: "\\b(?:password|passwd|pwd)\\s*[:=]\\s*\\S+", flags: "i" }
+];
+
+/** Fallback instruction for the tone check when config.json has no sendCheckPrompt. */
+const DEFAULT_SEND_CHECK_PROMPT =
+  "You review outgoing business emails just before they are sent. Decide whether the tone is hostile, abusive, " +
+  "threatening or likely to cause offence. Firm or direct wording is not hostile. Return JSON with hostile (boolean), " +
+  "severity (none, low or high) and reason (one short sentence quoting the problem wording, empty when not hostile).";
+
+/**
+ * Where the add-in is hosted. Classic Outlook on Windows runs this file in a JavaScript-only runtime
+ * without a page URL, so relative paths resolve against this. npm-dist.sh rewrites this line, and the
+ * manifest URLs, from COMMSASSIST_ADDIN_URL.
+ */
+const SEND_CHECK_ADDIN_BASE_URL = "https://localhost:3000/";
+
+let sendCheckConfigLoaded = false;
+
+/**
+ * Absolute URL for a path of the add-in: relative to the page when there is one, else SEND_CHECK_ADDIN_BASE_URL.
+ * @param {string} path
+ * @returns {string}
+ */
+function resolveAddinUrl(path) {
+  const page = typeof window !== "undefined" ? String(window.location?.href || "") : "";
+  return new URL(path, /^https?:/i.test(page) ? page : SEND_CHECK_ADDIN_BASE_URL).href;
+}
+
+/* ============================
+   Checks
+   ============================ */
+
+/**
+ * Level for a check from `send_check_rules`, falling back to SEND_CHECK_DEFAULT_RULES.
+ * @param {string} rule
+ * @returns {'block'|'warn'|'off'}
+ */
+function getSendCheckLevel(rule) {
+  const rules = configMap.get("send_check_rules");
+  const level = String((rules && rules[rule]) || SEND_CHECK_DEFAULT_RULES[rule] || "off").toLowerCase();
+  return ["block", "warn"].includes(level) ? level : "off";
+}
+
+/**
+ * Build a RegExp from config, falling back to the default when the configured pattern is invalid.
+ * @param {string} key
+ * @param {string} fallback
+ * @param {string} [flags="g"]
+ * @returns {RegExp}
+ */
+function getPatternVar(key, fallback, flags = "g") {
+  try { return new RegExp(getVar(key) || fallback, flags); } catch (e) {
+    log(`Invalid ${key}, using default`);
+    return new RegExp(fallback, flags);
+  }
+}
+
+/**
+ * Unresolved template placeholders such as [NAME], {{date}} or <ENTER...>.
+ * @param {string} text
+ * @returns {Array<string>} Distinct matches.
+ */
+function findPlaceholders(text) {
+  return [...new Set(String(text).match(getPatternVar("send_check_placeholder_pattern", DEFAULT_PLACEHOLDER_PATTERN)) || [])];
+}
+
+/**
+ * Names of the sensitive data kinds found in text (`send_check_sensitive_patterns` or the defaults).
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function findSensitiveData(text) {
+  const configured = configMap.get("send_check_sensitive_patterns");
+  const patterns = Array.isArray(configured) && configured.length ? configured : DEFAULT_SENSITIVE_PATTERNS;
+  const found = [];
+  for (const p of patterns) {
+    let re;
+    try { re = new RegExp(p.pattern, `${String(p.flags || "").replace("g", "")}g`); } catch (e) { log(`Invalid sensitive pattern ${p.name}`); continue; }
+    const matches = String(text).match(re) || [];
+    if (matches.some((m) => !p.luhn || luhnValid(m))) found.push(p.name || p.pattern);
+  }
+  return found;
+}
+
+/**
+ * Ask the model whether the draft's tone is hostile. Returns null when the check could not run.
+ * @param {string} subject
+ * @param {string} body
+ * @returns {Promise<{hostile:boolean, severity:string, reason:string}|null>}
+ */
+async function checkTone(subject, body) {
+  const schema = {
+    type: "object",
+    properties: {
+      hostile: { type: "boolean" },
+      severity: { type: "string", enum: ["none", "low", "high"] },
+      reason: { type: "string" }
+    },
+    required: ["hostile", "severity", "reason"]
+  };
+  try {
+    const raw = await callGeminiAPI(`Subject: ${subject}\nBody: ${body}`, getVar("sendCheckPrompt") || DEFAULT_SEND_CHECK_PROMPT, {
+      timeoutMs: Number(getVar("send_check_timeout_ms")) || SEND_CHECK_TIMEOUT_MS,
+      maxAttempts: 1,
+      responseSchema: schema
+    });
+    const parsed = JSON.parse(String(extractModelText(raw)).replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, ""));
+    return { hostile: parsed.hostile === true, severity: String(parsed.severity || "none"), reason: String(parsed.reason || "").trim() };
+  } catch (e) {
+    log("Tone check skipped: " + (e && e.message));
+    return null;
+  }
+}
+
+/**
+ * Run every enabled check against the item being sent.
+ * @param {Office.MessageCompose} item
+ * @returns {Promise<Array<{rule:string, level:('block'|'warn'), message:string}>>}
+ */
+async function runSendChecks(item) {
+  const issues = [];
+  const add = (rule, message) => { const level = getSendCheckLevel(rule); if (level !== "off") issues.push({ rule, level, message }); };
+  const fullBody = await officeAsync((cb) => item.body.getAsync(Office.CoercionType.Text, cb)).catch(() => "");
+  // Only the user's own text counts; quoted history below it was already sent by someone else.
+  const body = splitQuotedHistory(fullBody).latest;
+  const subject = typeof item.subject?.getAsync === "function" ? await officeAsync((cb) => item.subject.getAsync(cb)).catch(() => "") : "";
+
+  if (getSendCheckLevel("placeholders") !== "off") {
+    const found = findPlaceholders(body);
+    if (found.length) add("placeholders", `Unfilled placeholders: ${found.slice(0, 5).join(", ")}.`);
+  }
+  if (getSendCheckLevel("attachment") !== "off" && getPatternVar("send_check_attachment_pattern", DEFAULT_ATTACHMENT_MENTION_PATTERN, "i").test(body)) {
+    const attachments = typeof item.getAttachmentsAsync === "function" ? await officeAsync((cb) => item.getAttachmentsAsync(cb)).catch(() => null) : null;
+    if (Array.isArray(attachments) && attachments.filter((a) => !a.isInline).length === 0) add("attachment", "The message mentions an attachment but nothing is attached.");
+  }
+  if (getSendCheckLevel("sensitive") !== "off") {
+    const found = findSensitiveData(`${subject}\n${body}`);
+    if (found.length) add("sensitive", `Possible sensitive data: ${found.join(", ")}.`);
+  }
+  if (getSendCheckLevel("tone") !== "off" && body.trim()) {
+    const tone = await checkTone(subject, body);
+    if (tone && tone.hostile && tone.severity !== "none") add("tone", `The tone may come across as hostile${tone.reason ? `: ${tone.reason}` : "."}`);
+  }
+  return issues;
+}
+
+/* ============================
+   OnMessageSend handler
+   ============================ */
+
+/**
+ * OnMessageSend handler. Blocks the send when any "block" check fails; when only "warn" checks fail
+ * the Smart Alert offers Send Anyway (Mailbox 1.14+, otherwise the send is blocked until fixed).
+ * Errors fail open so a broken check never stops mail.
+ * @param {Office.AddinCommands.Event} event
+ */
+async function onMessageSendHandler(event) {
+  try {
+    if (!sendCheckConfigLoaded) {
+      try {
+        await loadConfig(resolveAddinUrl("config/config.json"));
+        sendCheckConfigLoaded = true;
+      } catch (e) { log("Send check config load failed; using defaults"); }
+      // The tone check calls the proxy, whose default address is relative too.
+      configMap.set("proxy_gen_endpoint", resolveAddinUrl(configMap.get("proxy_gen_endpoint") || DEFAULT_PROXY_ENDPOINT));
+    }
+    if (getVar("send_check_enabled") === false) { event.completed({ allowEvent: true }); return; }
+
+    const issues = await runSendChecks(Office.context.mailbox.item);
+    log(`Send check issues: ${JSON.stringify(issues)}`);
+    if (issues.length === 0) { event.completed({ allowEvent: true }); return; }
+
+    const blocking = issues.some((i) => i.level === "block");
+    const intro = blocking ? "CommsAssist stopped this message:" : "CommsAssist found possible problems:";
+    let errorMessage = [intro, ...issues.map((i) => `• ${i.message}`)].join("\n");
+    if (errorMessage.length > SMART_ALERT_MAX_CHARS) errorMessage = errorMessage.slice(0, SMART_ALERT_MAX_CHARS - 1) + "…";
+    const canOverride = !blocking && Office.context.requirements?.isSetSupported?.("Mailbox", "1.14");
+    event.completed({
+      allowEvent: false,
+      errorMessage,
+      ...(canOverride ? { sendModeOverride: Office.MailboxEnums.SendModeOverride.PromptUser } : {})
+    });
+  } catch (e) {
+    console.error("onMessageSendHandler failed", e);
+    event.completed({ allowEvent: true });
+  }
+}
+
+if (typeof Office !== "undefined" && Office.actions) Office.actions.associate("onMessageSendHandler", onMessageSendHandler);
@@ -1,12 +1,14 @@
 /**
  * pane.js — CommsAssist (complete file)
  * - Preserves JSDoc.
+ * - Declares setDraftBody as a real function tool; the JSON-in-text/tool_code parsing below is a last resort.
  * - Robustly handles tool_code wrappers, print/setDraftBody variants, html_content/newHtmlContent/body fields.
  * - Extracts HTML from groundingMetadata.searchEntryPoint.renderedContent when present.
  * - Applies HTML via setAsync when available; falls back to opening compose window. (FALLBACK RETAINED)
  * - Includes applyAssistantHtmlFromText helper and uses it in fallback branches.
+ * - Also bundled ahead of launchevent.js for the OnMessageSend runtime, where the pane wiring below is skipped.
  *
- * Security: move API keys to a server-side proxy for production and replace sanitizeHtml with DOMPurify.
+ * Security: API keys belong behind the generation proxy; all model HTML goes through the allowlist sanitizeHtml.
  */
 
 /* ============================
@@ -16,7 +18,212 @@
 /**
  * @typedef {Object} NormalizedResult
  * @property {string} [text]
- * @property {{name:string, args:any}} [functionCall]
+ * @property {{name:string, args:any}} [functionCall] First function call (kept for existing callers).
+ * @property {Array<{name:string, args:any}>} [functionCalls] Every function call in the response, in order.
+ */
+
+/**
+ * Snapshot of the compose item (body, subject and recipients).
+ * @typedef {Object} ComposeSnapshot
+ * @property {string} body HTML body.
+ * @property {string|null} subject Null when the subject could not be read.
+ * @property {{to:Array<Object>, cc:Array<Object>, bcc:Array<Object>}|null} recipients
+ */
+
+/**
+ * One entry in a compose item's version history.
+ * @typedef {Object} DraftVersion
+ * @property {ComposeSnapshot} snapshot
+ * @property {string} label Instruction that produced this version ("Original", "Manual edits", the chat request...).
+ * @property {number} at Epoch ms.
+ */
+
+/**
+ * Outcome of reading one attachment for the model context.
+ * @typedef {Object} AttachmentContext
+ * @property {string} name
+ * @property {boolean} included
+ * @property {string} [reason] Why it was skipped or truncated.
+ * @property {string} text Extracted text (empty when skipped).
+ */
+
+/**
+ * One message of a conversation thread.
+ * @typedef {Object} ThreadMessage
+ * @property {string} [id]
+ * @property {string} from Sender display name or address ("" when unknown).
+ * @property {string} [sent] Date/time as given by the source (ISO preferred).
+ * @property {string} body Plain text body without quoted history.
+ */
+
+/**
+ * Source of earlier messages in a conversation.
+ * @typedef {Object} MailDataBackend
+ * @property {string} label
+ * @property {function(string, {item: Office.Item}): Promise<Array<ThreadMessage>>} fetchConversation
+ */
+
+/**
+ * A redaction rule; config entries with a default's name override its fields.
+ * @typedef {Object} RedactionPattern
+ * @property {string} name Placeholder label, e.g. "EMAIL" gives [[EMAIL_1]].
+ * @property {string} pattern Regular expression source.
+ * @property {string} [flags] RegExp flags ("g" is always added).
+ * @property {boolean} [enabled] Defaults to true.
+ * @property {boolean} [luhn] Only redact matches passing the card-number checksum.
+ * @property {number} [minDigits] Only redact matches with at least this many digits.
+ */
+
+/**
+ * Named reply persona/template from config.json `personas`.
+ * @typedef {Object} Persona
+ * @property {string} id
+ * @property {string} name Label shown in the dropdown.
+ * @property {string|Array<string>} [systemPrompt] Persona instructions (arrays are joined with newlines).
+ * @property {string} [systemPromptKey] Config key to read the instructions from instead (e.g. "helpdeskPrompt").
+ * @property {string} [replyInstruction] Quick Reply instruction; falls back to quickReplyUserInstruction.
+ * @property {string} [tone] e.g. "warm and reassuring".
+ * @property {string} [signature] Sign-off block appended to replies.
+ * @property {Array<string>} [intentions] Intention labels that auto-select this persona.
+ */
+
+/**
+ * One user-editable setting shown in the settings panel and stored in roamingSettings.
+ * @typedef {Object} UserSettingDef
+ * @property {string} key Config key the setting overrides.
+ * @property {string} label
+ * @property {'boolean'|'enum'|'string'|'number'} type
+ * @property {Array<string>|function(): Array<string>} [options] Allowed values for enum settings.
+ * @property {number} [maxLength] For string settings.
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {RegExp} [pattern] For string settings.
+ * @property {boolean} [multiline] Render a textarea instead of a text input.
+ * @property {string} [hint]
+ */
+
+/**
+ * Token and cost totals for a session or one email.
+ * @typedef {Object} UsageTotals
+ * @property {number} calls
+ * @property {number} promptTokens
+ * @property {number} responseTokens
+ * @property {number|null} cost Sum over priced models, in `price_currency`; null when none were priced.
+ * @property {boolean} estimated True when any call had no usage from the provider and was estimated.
+ */
+
+/**
+ * One finding from validateConfig.
+ * @typedef {Object} ConfigProblem
+ * @property {'error'|'warning'} level Errors stop the pane from starting.
+ * @property {string} path Key path, e.g. "personas[1].tone".
+ * @property {string} message
+ */
+
+/**
+ * Maps analysis labels to an Outlook category (config.json `category_rules`).
+ * @typedef {Object} CategoryRule
+ * @property {Object<string, string|Array<string>>} when Field (sentiment, urgency, intention) to label or labels; all must match.
+ * @property {string} category Category display name.
+ * @property {string} [color] Office.MailboxEnums.CategoryColor value used when the category is created, e.g. "Preset0".
+ */
+
+/**
+ * One classification label from config.json `taxonomy`.
+ * @typedef {Object} TaxonomyLabel
+ * @property {string} label
+ * @property {string} description When the model should choose it.
+ * @property {string} color CSS colour for the indicator, "" for none.
+ * @property {number} priority 1 is highest; labels without one sort after those with one.
+ */
+
+/**
+ * A classified field (sentiment, urgency or intention) and its labels, highest priority first.
+ * @typedef {Object} TaxonomyField
+ * @property {string} description
+ * @property {string} fallback Label used for model output that matches none of the labels.
+ * @property {Array<TaxonomyLabel>} labels
+ */
+
+/**
+ * Provider-neutral description of a generation request.
+ * @typedef {Object} ProviderRequest
+ * @property {string} userQuery
+ * @property {string} systemInstruction
+ * @property {Array<ChatTurn>} [history] Earlier turns of the conversation, oldest first.
+ * @property {Array<ToolDeclaration>} [functions] Function tools to declare; when set, search grounding is disabled.
+ * @property {string} [forceFunction] Name of a declared function the model must call.
+ * @property {boolean} [stream] Request the provider's streaming endpoint.
+ * @property {Object} [responseSchema] JSON schema the reply must follow (JSON mode; disables tools).
+ * @property {Object} [apiParams] Extra provider-specific payload fields merged last.
+ */
+
+/**
+ * One conversation turn, stored in Gemini's contents shape and mapped by each adapter.
+ * Parts are {text}, {functionCall:{name,args}} or {functionResponse:{name,response}}.
+ * @typedef {Object} ChatTurn
+ * @property {'user'|'model'} role
+ * @property {Array<Object>} parts
+ */
+
+/**
+ * Validated result of the structured email analysis.
+ * @typedef {Object} EmailAnalysis
+ * @property {string} sentiment A taxonomy label, or "Unknown" when the model gave none.
+ * @property {string} urgency A taxonomy label, or "Unknown" when the model gave none.
+ * @property {string} intention A taxonomy label, or "Unknown" when the model gave none.
+ * @property {string} language English name of the email's language, or "Unknown".
+ * @property {number|null} confidence 0..1, null when not supplied.
+ * @property {string} rationale One line.
+ * @property {Array<ActionTask>} tasks Empty when actions_enabled is false.
+ * @property {Array<ProposedMeeting>} meetings Empty when actions_enabled is false.
+ */
+
+/**
+ * A task the email asks someone to do.
+ * @typedef {Object} ActionTask
+ * @property {string} description
+ * @property {string} owner Person named as responsible, "" when unclear.
+ * @property {string} due YYYY-MM-DD or YYYY-MM-DDTHH:MM (local time), "" when none.
+ */
+
+/**
+ * A meeting the email proposes.
+ * @typedef {Object} ProposedMeeting
+ * @property {string} subject
+ * @property {string} start YYYY-MM-DD or YYYY-MM-DDTHH:MM (local time), "" when not given.
+ * @property {string} end YYYY-MM-DDTHH:MM after start, "" when not given.
+ * @property {Array<string>} attendees Email addresses.
+ * @property {string} location
+ */
+
+/**
+ * Cached read-mode analysis for one message.
+ * @typedef {Object} AnalysisCacheEntry
+ * @property {string} fingerprint Hash of the prompts/endpoint that produced it.
+ * @property {number} savedAt Epoch ms.
+ * @property {EmailAnalysis} analysis
+ * @property {string} [draft] Prefetched custom-endpoint email_draft.
+ */
+
+/**
+ * Provider-neutral function tool declaration (JSON schema parameters).
+ * @typedef {Object} ToolDeclaration
+ * @property {string} name
+ * @property {string} description
+ * @property {Object} parameters
+ */
+
+/**
+ * A provider adapter builds its own request and maps its response into NormalizedResult.
+ * @typedef {Object} ProviderAdapter
+ * @property {string} label
+ * @property {function({stream:boolean}): {url:string, headers:Object<string,string>}} resolveEndpoint
+ * @property {function(ProviderRequest): Object} buildPayload
+ * @property {function(any): (NormalizedResult|null)} parseResponse
+ * @property {function(Object, any): string} accumulateStream Fold one stream event into acc; returns the new text.
+ * @property {function(Object): any} streamResult Raw (non-streaming) response equivalent of acc, for parseResponse.
+ * @property {function(): string} modelName Configured model, used for pricing when the response does not name one.
  */
 
 /* ============================
@@ -25,28 +232,599 @@
 
 /** @type {Map<string, any>} */
 const configMap = new Map();
+/** Problems found by the last loadConfig. @type {Array<ConfigProblem>} */
+let configProblems = [];
 /** @type {string} */
 let draft = "";
-/** @type {{ lastBackup: string | null }} */
-const composeBackupStore = { lastBackup: null };
+/**
+ * Per compose item version stacks; index points at the version currently in the compose window.
+ * itemKey is the compose item's history key (see composeBackupStore.resolveItemKey).
+ * @type {{ histories: Map<string, {versions: Array<DraftVersion>, index: number}>, instruction: string, itemKey: string }}
+ */
+const composeBackupStore = { histories: new Map(), instruction: "", itemKey: "" };
+const DEFAULT_DRAFT_HISTORY_CAP = 20;
+const RECIPIENT_FIELDS = ["to", "cc", "bcc"];
 const HISTORY_CAP = 50;
+const DEFAULT_HISTORY_TOKEN_BUDGET = 6000;
 const DEFAULT_PROXY_ENDPOINT = "/api/gen";
+const DEFAULT_PROVIDER = "gemini";
+const PROVIDER_HEADER = "X-CommsAssist-Provider";
+const STREAM_HEADER = "X-CommsAssist-Stream";
 const REQUEST_TIMEOUT_MS = 60000;
+const ANALYSIS_CACHE_STORAGE_KEY = "commsassist.analysisCache";
+const DEFAULT_ANALYSIS_CACHE_TTL_HOURS = 168;
+const DEFAULT_ANALYSIS_CACHE_MAX_ENTRIES = 100;
+const DEFAULT_ANALYSIS_CACHE_MAX_BYTES = 500000;
 const DEFAULT_MAX_ATTEMPTS = 6;
+/** False in the event runtime (launchevent.html or the JS-only runtime), which has no pane markup. */
+const IS_TASK_PANE = typeof document !== "undefined" && !!document.getElementById("responseContainer");
+const DEFAULT_ATTACHMENT_MAX_COUNT = 5;
+const DEFAULT_ATTACHMENT_MAX_BYTES = 5000000;
+const DEFAULT_ATTACHMENT_MAX_CHARS = 8000;
+const DEFAULT_ATTACHMENT_TOTAL_CHARS = 20000;
+const DEFAULT_THREAD_MAX_MESSAGES = 10;
+const DEFAULT_THREAD_MAX_CHARS = 12000;
+const USER_SETTINGS_STORAGE_KEY = "commsassist.userSettings";
+const USAGE_STORAGE_KEY = "commsassist.usage";
+const USAGE_MAX_ITEMS = 50;
+/** Tokens kept free for the reply when checking a request against the session budget. */
+const RESPONSE_TOKEN_RESERVE = 1024;
+const MIN_TRUNCATED_QUERY_TOKENS = 200;
+const BUDGET_TRUNCATION_NOTE = "\n[Truncated to fit the session token budget.]\n\n";
 
 /* ============================
-   System instruction (strict JSON-on-edit)
+   System instruction (tool call on edit)
    ============================ */
 
 /**
- * System instruction that asks the model to return exact JSON for edits.
+ * System instruction that asks the model to call setDraftBody for edits.
  * @type {string}
  */
 const editSystemInstruction =
   "You are an assistant embedded in a client. Your primary task is to answer user questions." +
   "The current draft and original email context are provided for your reference, but **DO NOT** mention them unless asked to edit them." +
   "**STRICT RULE:** You MUST call the `setDraftBody` tool with the modified HTML content ONLY IF the user's query explicitly asks you to **change**, **edit**, **summarize**, **rewrite**, or **modify** the content. " +
-  "For all general queries (e.g., 'What is the date?', 'Who is the sender?'), you must return a plain text response and **NEVER** use the `setDraftBody` tool.";
+  "For all general queries (e.g., 'What is the date?', 'Who is the sender?'), you must return a plain text response and **NEVER** use the `setDraftBody` tool." +
+  "Use `setSubject` to change the subject, `addRecipients` to add To/Cc/Bcc recipients and `addAttachmentNote` to add a short note above the body, only when the user asks for it.";
+
+/* ============================
+   Personas (config.json `personas`)
+   ============================ */
+
+/**
+ * Persona chosen in the dropdown; empty means default_persona.
+ * @type {string}
+ */
+let activePersonaId = "";
+/** Set once the user picks a persona by hand so auto-selection stops overriding it. */
+let personaChosenByUser = false;
+
+/**
+ * Personas declared in config.json (entries without an id are ignored).
+ * @returns {Array<Persona>}
+ */
+function getPersonas() {
+  const list = configMap.get("personas");
+  return Array.isArray(list) ? list.filter((p) => p && typeof p.id === "string" && p.id) : [];
+}
+
+/**
+ * The persona in effect: the dropdown choice, else default_persona, else none.
+ * @returns {Persona|null}
+ */
+function getActivePersona() {
+  const personas = getPersonas();
+  const id = activePersonaId || getVar("default_persona");
+  return personas.find((p) => p.id === id) || null;
+}
+
+/**
+ * Build the system instruction for a request: the base instruction plus the persona's
+ * instructions and tone, then the user's reply preferences and signature (which replaces
+ * the persona's). Tool rules in the base instruction stay in force.
+ * @param {string} baseInstruction
+ * @param {Persona|null} [persona]
+ * @returns {string}
+ */
+function buildPersonaInstruction(baseInstruction, persona = getActivePersona()) {
+  const nl = String.fromCharCode(10);
+  const lines = [];
+  if (persona) {
+    const raw = persona.systemPromptKey ? getVar(persona.systemPromptKey) : persona.systemPrompt;
+    const prompt = Array.isArray(raw) ? raw.join(nl) : String(raw || "");
+    if (prompt || persona.tone || persona.signature) lines.push(`PERSONA: ${persona.name || persona.id}`);
+    if (prompt) lines.push(prompt);
+    if (persona.tone) lines.push(`Write in a ${persona.tone} tone.`);
+  }
+  lines.push(...buildReplyPreferenceLines());
+  const signature = getUserSignatureHtml() || persona?.signature || "";
+  if (signature) lines.push(`End every email draft with this signature:${nl}${signature}`);
+  return lines.length ? [baseInstruction, "", ...lines].join(nl) : baseInstruction;
+}
+
+/**
+ * Fill the persona dropdown from config; hides it when no personas are configured.
+ */
+function initPersonaSelector() {
+  const select = document.getElementById("personaSelect");
+  const wrap = document.getElementById("personaPicker");
+  const personas = getPersonas();
+  if (!select) return;
+  if (personas.length === 0) { wrap?.classList.add("hidden"); return; }
+  select.textContent = "";
+  for (const p of personas) {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = p.name || p.id;
+    select.appendChild(opt);
+  }
+  select.value = getActivePersona()?.id || personas[0].id;
+  activePersonaId = select.value;
+  wrap?.classList.remove("hidden");
+  select.addEventListener("change", () => {
+    activePersonaId = select.value;
+    personaChosenByUser = true;
+    log(`Persona selected: ${activePersonaId}`);
+  });
+}
+
+/**
+ * Switch to the first persona listing the detected intention, unless disabled
+ * by `persona_auto_select: false` or the user already picked one.
+ * @param {string} intention
+ */
+function autoSelectPersona(intention) {
+  if (personaChosenByUser || getVar("persona_auto_select") === false) return;
+  const match = getPersonas().find((p) => Array.isArray(p.intentions) && p.intentions.some((l) => String(l).toLowerCase() === String(intention || "").toLowerCase()));
+  if (!match) return;
+  activePersonaId = match.id;
+  const select = document.getElementById("personaSelect");
+  if (select) select.value = match.id;
+  log(`Persona auto-selected for intention "${intention}": ${match.id}`);
+}
+
+/* ============================
+   User settings (roamingSettings)
+   ============================ */
+
+/** Instruction added for each reply_length choice; "medium" keeps the model's default length. */
+const REPLY_LENGTH_INSTRUCTIONS = {
+  short: "Keep email drafts short: three or four sentences at most.",
+  medium: "",
+  long: "Write complete email drafts that answer every point raised, using several paragraphs where needed."
+};
+
+/**
+ * Settings a user may override. config.json `user_settings` can narrow this list; the
+ * deployment value of each key is the default the user sees and returns to on reset.
+ * @type {Array<UserSettingDef>}
+ */
+const USER_SETTINGS_SCHEMA = [
+  { key: "reply_length", label: "Reply length", type: "enum", options: Object.keys(REPLY_LENGTH_INSTRUCTIONS) },
+  { key: "translate_language", label: "Translate emails into", type: "string", maxLength: 40, pattern: /^[\p{L} ()-]*$/u, hint: "Leave empty to use Outlook's display language." },
+  { key: "reply_language", label: "Reply language", type: "string", maxLength: 40, pattern: /^[\p{L} ()-]*$/u, hint: "Always reply in this language. Leave empty to reply in the language of the email." },
+  { key: "signature", label: "Signature", type: "string", maxLength: 500, multiline: true, hint: "Added to the end of drafted replies." },
+  { key: "quick_reply_auto_insert", label: "Quick Reply opens the draft straight away", type: "boolean", hint: "When off, the draft is shown here first." },
+  { key: "default_persona", label: "Default persona", type: "enum", options: () => getPersonas().map((p) => p.id) },
+  { key: "chat_streaming", label: "Stream chat replies", type: "boolean" }
+];
+
+/**
+ * Settings the deployment lets users change (`user_settings`, default all of USER_SETTINGS_SCHEMA).
+ * @returns {Array<UserSettingDef>}
+ */
+function getEditableSettings() {
+  const allowed = configMap.get("user_settings");
+  return Array.isArray(allowed) ? USER_SETTINGS_SCHEMA.filter((d) => allowed.includes(d.key)) : USER_SETTINGS_SCHEMA;
+}
+
+/**
+ * Check a value against its setting definition.
+ * @param {UserSettingDef} def
+ * @param {any} value
+ * @returns {{value:any}|{error:string}}
+ */
+function validateUserSetting(def, value) {
+  switch (def.type) {
+    case "boolean":
+      if (typeof value === "boolean") return { value };
+      if (value === "true" || value === "false") return { value: value === "true" };
+      return { error: "Must be on or off." };
+    case "enum": {
+      const options = typeof def.options === "function" ? def.options() : def.options || [];
+      return options.includes(value) ? { value } : { error: `Must be one of: ${options.join(", ")}.` };
+    }
+    case "number": {
+      const n = Number(value);
+      if (value === "" || !Number.isFinite(n)) return { error: "Must be a number." };
+      if ((def.min != null && n < def.min) || (def.max != null && n > def.max)) return { error: `Must be between ${def.min ?? "-∞"} and ${def.max ?? "∞"}.` };
+      return { value: n };
+    }
+    default: {
+      if (typeof value !== "string") return { error: "Must be text." };
+      const text = value.trim();
+      if (def.maxLength && text.length > def.maxLength) return { error: `Must be at most ${def.maxLength} characters.` };
+      if (def.pattern && !def.pattern.test(text)) return { error: "Contains characters that are not allowed." };
+      return { value: text };
+    }
+  }
+}
+
+/**
+ * User overrides read from Office roamingSettings, layered over configMap by getVar.
+ * Only validated values for editable settings are kept.
+ */
+const userSettingsStore = {
+  /** @type {Object<string, any>} */
+  values: {},
+  roaming() {
+    return (typeof Office !== "undefined" && Office.context?.roamingSettings) || null;
+  },
+  /**
+   * Override for a key, or undefined when the user has not set it (or may no longer set it).
+   * @param {string} key
+   * @returns {any}
+   */
+  get(key) {
+    if (!Object.prototype.hasOwnProperty.call(this.values, key)) return undefined;
+    return getEditableSettings().some((d) => d.key === key) ? this.values[key] : undefined;
+  },
+  /** Read and validate the stored overrides; invalid entries are dropped. */
+  load() {
+    this.values = {};
+    let stored = null;
+    try { stored = this.roaming()?.get(USER_SETTINGS_STORAGE_KEY); } catch (e) { log("roamingSettings read failed: " + (e && e.message)); }
+    if (!stored || typeof stored !== "object") return;
+    for (const [key, raw] of Object.entries(stored)) {
+      const def = USER_SETTINGS_SCHEMA.find((d) => d.key === key);
+      const checked = def ? validateUserSetting(def, raw) : { error: "unknown setting" };
+      if ("error" in checked) log(`Ignoring stored setting ${key}: ${checked.error}`);
+      else this.values[key] = checked.value;
+    }
+  },
+  /**
+   * Validate and persist the given values. Values equal to the deployment default are not stored.
+   * @param {Object<string, any>} input
+   * @returns {Promise<Object<string, string>>} Errors by key; empty when saved.
+   */
+  async save(input) {
+    const errors = {};
+    const next = {};
+    for (const def of getEditableSettings()) {
+      if (!(def.key in input)) continue;
+      const checked = validateUserSetting(def, input[def.key]);
+      if ("error" in checked) { errors[def.key] = checked.error; continue; }
+      const deployed = configMap.get(def.key);
+      const isDefault = def.type === "boolean" ? checked.value === (deployed !== false) : checked.value === (deployed ?? "");
+      if (!isDefault) next[def.key] = checked.value;
+    }
+    if (Object.keys(errors).length) return errors;
+    const rs = this.roaming();
+    if (!rs) throw new Error("Settings cannot be saved in this Outlook client.");
+    rs.set(USER_SETTINGS_STORAGE_KEY, next);
+    await officeAsync((cb) => rs.saveAsync(cb));
+    this.values = next;
+    log(`User settings saved: ${Object.keys(next).join(", ") || "(none)"}`);
+    return {};
+  },
+  /** Remove every override so the deployment config applies again. */
+  async reset() {
+    const rs = this.roaming();
+    if (!rs) throw new Error("Settings cannot be saved in this Outlook client.");
+    rs.remove(USER_SETTINGS_STORAGE_KEY);
+    await officeAsync((cb) => rs.saveAsync(cb));
+    this.values = {};
+    log("User settings reset to defaults");
+  }
+};
+
+/**
+ * Reply length and language (see getReplyLanguage) instructions from the current settings.
+ * @returns {Array<string>}
+ */
+function buildReplyPreferenceLines() {
+  const lines = [];
+  const length = REPLY_LENGTH_INSTRUCTIONS[getVar("reply_length")];
+  if (length) lines.push(length);
+  const language = getReplyLanguage();
+  if (language) lines.push(`Write email drafts and chat answers in ${language}.`);
+  return lines;
+}
+
+/**
+ * The user's plain-text signature as escaped HTML with line breaks, or "" when unset.
+ * @returns {string}
+ */
+function getUserSignatureHtml() {
+  const text = String(getVar("signature") || "").trim();
+  if (!text) return "";
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").split(/\r?\n/).join("<br>");
+}
+
+/**
+ * Display form of a deployment default for the settings hints.
+ * @param {UserSettingDef} def
+ * @returns {string}
+ */
+function describeSettingDefault(def) {
+  const v = configMap.get(def.key);
+  if (def.type === "boolean") return v === false ? "off" : "on";
+  if (v == null || v === "") return "none";
+  return String(v).length > 40 ? `${String(v).slice(0, 40)}…` : String(v);
+}
+
+/**
+ * Build one input per editable setting, filled with the effective value.
+ */
+function renderSettingsForm() {
+  const fields = document.getElementById("settingsFields");
+  if (!fields) return;
+  fields.textContent = "";
+  for (const def of getEditableSettings()) {
+    const id = `setting-${def.key}`;
+    const row = document.createElement("div");
+    row.className = "setting-row";
+    const label = document.createElement("label");
+    label.htmlFor = id;
+    label.textContent = def.label;
+    let input;
+    if (def.type === "enum") {
+      input = document.createElement("select");
+      const options = typeof def.options === "function" ? def.options() : def.options || [];
+      for (const value of options) {
+        const opt = document.createElement("option");
+        opt.value = value;
+        opt.textContent = def.key === "default_persona" ? (getPersonas().find((p) => p.id === value)?.name || value) : value;
+        input.appendChild(opt);
+      }
+      input.value = String(getVar(def.key) ?? "");
+    } else if (def.type === "boolean") {
+      input = document.createElement("input");
+      input.type = "checkbox";
+      input.checked = getVar(def.key) !== false;
+    } else {
+      input = document.createElement(def.multiline ? "textarea" : "input");
+      if (!def.multiline) input.type = def.type === "number" ? "number" : "text";
+      if (def.maxLength) input.maxLength = def.maxLength;
+      input.value = String(getVar(def.key) ?? "");
+    }
+    input.id = id;
+    input.dataset.key = def.key;
+    const hint = document.createElement("small");
+    hint.className = "hint";
+    hint.id = `${id}-hint`;
+    hint.textContent = `${def.hint ? `${def.hint} ` : ""}Default: ${describeSettingDefault(def)}.`;
+    const error = document.createElement("small");
+    error.className = "setting-error";
+    error.id = `${id}-error`;
+    input.setAttribute("aria-describedby", `${hint.id} ${error.id}`);
+    if (def.type === "boolean") { row.classList.add("setting-toggle"); row.append(input, label, hint, error); } else row.append(label, input, hint, error);
+    fields.appendChild(row);
+  }
+}
+
+/**
+ * Current form values keyed by setting.
+ * @returns {Object<string, any>}
+ */
+function collectSettingsForm() {
+  const values = {};
+  document.querySelectorAll("#settingsFields [data-key]").forEach((el) => {
+    values[el.dataset.key] = el.type === "checkbox" ? el.checked : el.value;
+  });
+  return values;
+}
+
+/**
+ * Show validation errors next to their inputs; an empty object clears them.
+ * @param {Object<string, string>} errors
+ */
+function showSettingsErrors(errors) {
+  document.querySelectorAll("#settingsFields [data-key]").forEach((el) => {
+    const message = errors[el.dataset.key] || "";
+    const slot = document.getElementById(`${el.id}-error`);
+    if (slot) slot.textContent = message;
+    if (message) el.setAttribute("aria-invalid", "true"); else el.removeAttribute("aria-invalid");
+  });
+}
+
+/**
+ * Re-read settings that other parts of the pane hold in state.
+ */
+function applyUserSettingsChange() {
+  renderReplyLanguagePicker();
+  if (personaChosenByUser) return;
+  activePersonaId = "";
+  const persona = getActivePersona();
+  const select = document.getElementById("personaSelect");
+  if (persona && select) { select.value = persona.id; activePersonaId = persona.id; }
+}
+
+/**
+ * Wire the settings button and panel. Hidden when nothing is editable or the client has no roamingSettings.
+ */
+function initSettingsPanel() {
+  const btn = document.getElementById("settingsBtn");
+  const panel = document.getElementById("settingsPanel");
+  const status = document.getElementById("settingsStatus");
+  if (!btn || !panel) return;
+  if (!userSettingsStore.roaming() || getEditableSettings().length === 0) { btn.classList.add("hidden"); return; }
+  btn.classList.remove("hidden");
+  const close = () => { panel.classList.add("hidden"); btn.setAttribute("aria-expanded", "false"); };
+  btn.addEventListener("click", () => {
+    if (!panel.classList.contains("hidden")) { close(); return; }
+    renderSettingsForm();
+    if (status) status.textContent = "";
+    panel.classList.remove("hidden");
+    btn.setAttribute("aria-expanded", "true");
+    panel.querySelector("[data-key]")?.focus();
+  });
+  document.getElementById("settingsCancel")?.addEventListener("click", close);
+  document.getElementById("settingsForm")?.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    try {
+      const errors = await userSettingsStore.save(collectSettingsForm());
+      showSettingsErrors(errors);
+      if (Object.keys(errors).length) { if (status) status.textContent = "Please fix the highlighted settings."; return; }
+      applyUserSettingsChange();
+      if (status) status.textContent = "Settings saved.";
+    } catch (err) {
+      console.error("Saving settings failed", err);
+      if (status) status.textContent = "Settings could not be saved.";
+    }
+  });
+  document.getElementById("settingsReset")?.addEventListener("click", async () => {
+    try {
+      await userSettingsStore.reset();
+      applyUserSettingsChange();
+      renderSettingsForm();
+      if (status) status.textContent = "Settings reset to defaults.";
+    } catch (err) {
+      console.error("Resetting settings failed", err);
+      if (status) status.textContent = "Settings could not be reset.";
+    }
+  });
+}
+
+/* ============================
+   Reply language (detected, per-message override)
+   ============================ */
+
+/** Languages offered in the override dropdown when config.json has no `reply_languages`. */
+const DEFAULT_REPLY_LANGUAGES = ["English", "German", "French", "Spanish", "Italian", "Dutch", "Portuguese"];
+
+/** Language detected by the analysis and the user's override, by conversation key. */
+const replyLanguageStore = { detected: new Map(), overrides: new Map() };
+
+/**
+ * Language replies should use for the current item: the per-message override, else the
+ * reply_language setting, else the detected language. "" leaves it to the model.
+ * @returns {string}
+ */
+function getReplyLanguage() {
+  const key = getCurrentItemKey();
+  return replyLanguageStore.overrides.get(key) || String(getVar("reply_language") || "").trim() || replyLanguageStore.detected.get(key) || "";
+}
+
+/**
+ * Remember the analysed language for the current item and refresh the dropdown.
+ * @param {string} language
+ */
+function setDetectedLanguage(language) {
+  const key = getCurrentItemKey();
+  if (language && language !== "Unknown") replyLanguageStore.detected.set(key, language);
+  else replyLanguageStore.detected.delete(key);
+  renderReplyLanguagePicker();
+}
+
+/**
+ * Fill the reply language dropdown. The first option follows the automatic choice and names it.
+ */
+function renderReplyLanguagePicker() {
+  const select = typeof document !== "undefined" ? document.getElementById("replyLanguageSelect") : null;
+  if (!select) return;
+  const key = getCurrentItemKey();
+  const configured = configMap.get("reply_languages");
+  const languages = Array.isArray(configured) && configured.length ? configured.map(String) : DEFAULT_REPLY_LANGUAGES;
+  const detected = replyLanguageStore.detected.get(key);
+  const automatic = String(getVar("reply_language") || "").trim() || detected;
+  select.textContent = "";
+  const auto = document.createElement("option");
+  auto.value = "";
+  auto.textContent = automatic ? `Automatic (${automatic})` : "Automatic (same as the email)";
+  select.appendChild(auto);
+  for (const lang of detected && !languages.includes(detected) ? [...languages, detected] : languages) {
+    const opt = document.createElement("option");
+    opt.value = lang;
+    opt.textContent = lang;
+    select.appendChild(opt);
+  }
+  select.value = replyLanguageStore.overrides.get(key) || "";
+  document.getElementById("replyLanguagePicker")?.classList.remove("hidden");
+}
+
+/**
+ * Wire the reply language dropdown; a choice applies to the current message only.
+ */
+function initReplyLanguagePicker() {
+  const select = document.getElementById("replyLanguageSelect");
+  if (!select) return;
+  renderReplyLanguagePicker();
+  select.addEventListener("change", () => {
+    const key = getCurrentItemKey();
+    if (select.value) replyLanguageStore.overrides.set(key, select.value);
+    else replyLanguageStore.overrides.delete(key);
+    log(`Reply language for ${key}: ${getReplyLanguage() || "automatic"}`);
+  });
+}
+
+/* ============================
+   Function tools
+   ============================ */
+
+/**
+ * Function tools declared to the model when opts.allowFunctions is set.
+ * @type {Array<ToolDeclaration>}
+ */
+const TOOL_DECLARATIONS = [
+  {
+    name: "setDraftBody",
+    description: "Replace the entire body of the current email draft. Use only when the user asks to write, change, edit, summarize, rewrite or modify the draft.",
+    parameters: {
+      type: "object",
+      properties: {
+        htmlContent: { type: "string", description: "The complete new email body as HTML (not a fragment or a diff)." },
+        explanation: { type: "string", description: "One short sentence describing the change, shown to the user." }
+      },
+      required: ["htmlContent"]
+    }
+  },
+  {
+    name: "setSubject",
+    description: "Replace the subject line of the current email draft. Use only when the user asks to change the subject.",
+    parameters: {
+      type: "object",
+      properties: {
+        subject: { type: "string", description: "The complete new subject line." }
+      },
+      required: ["subject"]
+    }
+  },
+  {
+    name: "addRecipients",
+    description: "Add recipients to the To, Cc or Bcc line of the current email draft. Only use email addresses that appear in the conversation or that the user typed; never invent one.",
+    parameters: {
+      type: "object",
+      properties: {
+        field: { type: "string", enum: RECIPIENT_FIELDS, description: "Which recipient line to add to." },
+        recipients: {
+          type: "array",
+          description: "Recipients to add.",
+          items: {
+            type: "object",
+            properties: {
+              emailAddress: { type: "string" },
+              displayName: { type: "string" }
+            },
+            required: ["emailAddress"]
+          }
+        }
+      },
+      required: ["field", "recipients"]
+    }
+  },
+  {
+    name: "addAttachmentNote",
+    description: "Insert a short note at the top of the draft body, e.g. to point the reader at an attachment. Does not replace the existing body.",
+    parameters: {
+      type: "object",
+      properties: {
+        note: { type: "string", description: "Plain text of the note." }
+      },
+      required: ["note"]
+    }
+  }
+];
 
 /* ============================
    Utilities
@@ -61,11 +839,13 @@ function log(msg) {
 }
 
 /**
- * Read a config value previously loaded into configMap.
+ * Read a config value: the user's roamingSettings override if any, else the value loaded into configMap.
  * @param {string} key
  * @returns {any}
  */
 function getVar(key) {
+  const override = userSettingsStore.get(key);
+  if (override !== undefined) return override;
   if (configMap.size !== 0) {
     const v = configMap.get(key);
     if (Array.isArray(v)) return v.join(String.fromCharCode(10));
@@ -75,7 +855,9 @@ function getVar(key) {
 }
 
 /**
- * Load JSON configuration into configMap.
+ * Load JSON configuration into configMap after validating it against CONFIG_SCHEMA.
+ * Warnings are kept in configProblems; any error rejects with a ConfigError carrying the
+ * problems and leaves configMap untouched.
  * @param {string} url
  * @returns {Promise<void>}
  */
@@ -84,6 +866,10 @@ async function loadConfig(url) {
     const res = await fetch(url);
     if (!res.ok) throw new Error(`HTTP error ${res.status}`);
     const parsed = await res.json();
+    configProblems = validateConfig(parsed);
+    for (const p of configProblems) log(`config ${p.level}: ${p.path} ${p.message}`);
+    const errors = configProblems.filter((p) => p.level === "error");
+    if (errors.length) throw Object.assign(new Error(`Invalid configuration: ${errors.length} error(s)`), { name: "ConfigError", problems: configProblems });
     for (const k in parsed) configMap.set(k, parsed[k]);
   } catch (e) {
     console.error("loadConfig failed:", e && e.message);
@@ -121,18 +907,6 @@ function removeHtmlFences(content) {
   return content;
 }
 
-/**
- * Minimal HTML sanitizer. Replace with DOMPurify in production.
- * @param {string} html
- * @returns {string}
- */
-function sanitizeHtml(html) {
-  return String(html || "")
-    .replace(/<script[\s\S]*?>[\s\S]*?<\/script>/gi, "")
-    .replace(/\son\w+=(["'])([\s\S]*?)\1/gi, "")
-    .replace(/javascript:/gi, "");
-}
-
 /**
  * Cap chat history length in DOM.
  * @param {number} [max=HISTORY_CAP]
@@ -181,50 +955,506 @@ function extractModelText(res) {
 }
 
 /* ============================
-   setMetaData
+   Config schema (validated by loadConfig)
    ============================ */
 
+/** Prompts may be a string or an array of lines (getVar joins them with newlines). */
+const PROMPT_SCHEMA = { type: ["string", "array"], items: { type: "string" } };
+const URL_SCHEMA = { type: "string", format: "url" };
+const CHECK_LEVEL_SCHEMA = { type: "string", enum: ["block", "warn", "off"] };
+const TAXONOMY_FIELD_SCHEMA = {
+  type: "object",
+  required: ["labels"],
+  additionalProperties: false,
+  properties: {
+    description: { type: "string" },
+    fallback: { type: "string" },
+    labels: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["label"],
+        additionalProperties: false,
+        properties: { label: { type: "string" }, description: { type: "string" }, color: { type: "string" }, priority: { type: "integer", minimum: 1 } }
+      }
+    }
+  }
+};
+const CATEGORY_CONDITION_SCHEMA = { type: ["string", "array"], items: { type: "string" } };
+/** Values accepted for a category rule's color (Office.MailboxEnums.CategoryColor). */
+const CATEGORY_COLORS = ["None", ...Array.from({ length: 25 }, (_, i) => `Preset${i}`)];
+/** Hex, rgb()/hsl(), a CSS variable or a colour keyword. */
+const CSS_COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([\d\s.,%/-]+\)|var\(--[\w-]+\)|[a-z]+)$/i;
+
 /**
- * Update UI metadata fields (sentiment, urgency, intention).
- * @param {string} sentiment
- * @param {string} urgency
- * @param {string} intention
+ * JSON schema (subset: type, enum, minimum, exclusiveMinimum, items, properties, required,
+ * additionalProperties, format url/regex) for every supported config.json key.
  */
-function setMetaDataLocal(sentiment, urgency, intention) {
-  log(`Email Metadata - Sentiment: ${sentiment}, Urgency: ${urgency}, Intention: ${intention}`);
-  const urgencyIndicator = document.getElementById("urgencyIndicator");
-  const sentimentEl = document.getElementById("sentiment");
-  const urgencyEl = document.getElementById("urgency");
-  const intentionEl = document.getElementById("intention");
-  if (sentimentEl) sentimentEl.textContent = sentiment ?? "—";
-  if (urgencyEl) urgencyEl.textContent = urgency ?? "—";
-  if (intentionEl) intentionEl.textContent = intention ?? "—";
-  if (urgencyIndicator) {
-    urgencyIndicator.classList.remove("urgency-high", "urgency-medium", "urgency-low", "unknown");
-    const p = String(urgency || "").trim().toLowerCase();
-    if (p.includes("high")) urgencyIndicator.classList.add("urgency-high");
-    else if (p.includes("medium")) urgencyIndicator.classList.add("urgency-medium");
-    else if (p.includes("low")) urgencyIndicator.classList.add("urgency-low");
-    else urgencyIndicator.classList.add("unknown");
+const CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    customendpoint_url: URL_SCHEMA,
+    provider: { type: "string", enum: ["gemini", "openai", "azure", "ollama"] },
+    endpoint_url: URL_SCHEMA,
+    google_api_key: { type: "string" },
+    proxy_gen_endpoint: URL_SCHEMA,
+    openai_model: { type: "string" },
+    azure_deployment: { type: "string" },
+    ollama_model: { type: "string" },
+    helpUrl: URL_SCHEMA,
+    chat_history_token_budget: { type: "integer", minimum: 500 },
+    chat_streaming: { type: "boolean" },
+    analysis_cache_ttl_hours: { type: "number", exclusiveMinimum: 0 },
+    analysis_cache_max_entries: { type: "integer", minimum: 1 },
+    analysis_cache_max_bytes: { type: "integer", minimum: 1000 },
+    draft_history_cap: { type: "integer", minimum: 1 },
+    draft_review: { type: "boolean" },
+    attachments_enabled: { type: "boolean" },
+    attachment_max_count: { type: "integer", minimum: 1 },
+    attachment_max_bytes: { type: "integer", minimum: 1 },
+    attachment_max_chars: { type: "integer", minimum: 1 },
+    attachment_total_chars: { type: "integer", minimum: 1 },
+    thread_context: { type: "boolean" },
+    thread_backend: { type: "string", enum: ["none", "http"] },
+    thread_endpoint: URL_SCHEMA,
+    thread_max_messages: { type: "integer", minimum: 1 },
+    thread_max_chars: { type: "integer", minimum: 1 },
+    send_check_enabled: { type: "boolean" },
+    send_check_rules: {
+      type: "object",
+      additionalProperties: false,
+      properties: { tone: CHECK_LEVEL_SCHEMA, attachment: CHECK_LEVEL_SCHEMA, placeholders: CHECK_LEVEL_SCHEMA, sensitive: CHECK_LEVEL_SCHEMA }
+    },
+    send_check_timeout_ms: { type: "integer", minimum: 1000 },
+    send_check_placeholder_pattern: { type: "string", format: "regex" },
+    send_check_attachment_pattern: { type: "string", format: "regex" },
+    send_check_sensitive_patterns: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["pattern"],
+        additionalProperties: false,
+        properties: { name: { type: "string" }, pattern: { type: "string", format: "regex" }, flags: { type: "string" }, luhn: { type: "boolean" } }
+      }
+    },
+    redaction_enabled: { type: "boolean" },
+    redaction_patterns: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name"],
+        additionalProperties: false,
+        properties: {
+          name: { type: "string" }, pattern: { type: "string", format: "regex" }, flags: { type: "string" },
+          enabled: { type: "boolean" }, luhn: { type: "boolean" }, minDigits: { type: "integer", minimum: 1 }
+        }
+      }
+    },
+    reply_length: { type: "string", enum: ["short", "medium", "long"] },
+    reply_language: { type: "string" },
+    reply_languages: { type: "array", items: { type: "string" } },
+    translate_language: { type: "string" },
+    translate_max_chars: { type: "integer", minimum: 1000 },
+    subject_suggestion_count: { type: "integer", minimum: 1 },
+    subject_ticket_pattern: { type: "string", format: "regex" },
+    actions_enabled: { type: "boolean" },
+    category_rules_enabled: { type: "boolean" },
+    category_create_master: { type: "boolean" },
+    category_rules: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["when", "category"],
+        additionalProperties: false,
+        properties: {
+          when: { type: "object", additionalProperties: false, properties: { sentiment: CATEGORY_CONDITION_SCHEMA, urgency: CATEGORY_CONDITION_SCHEMA, intention: CATEGORY_CONDITION_SCHEMA } },
+          category: { type: "string" },
+          color: { type: "string", enum: CATEGORY_COLORS }
+        }
+      }
+    },
+    taxonomy: {
+      type: "object",
+      additionalProperties: false,
+      properties: { sentiment: TAXONOMY_FIELD_SCHEMA, urgency: TAXONOMY_FIELD_SCHEMA, intention: TAXONOMY_FIELD_SCHEMA }
+    },
+    signature: { type: "string" },
+    quick_reply_auto_insert: { type: "boolean" },
+    model_prices: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        required: ["input", "output"],
+        additionalProperties: false,
+        properties: { input: { type: "number", minimum: 0 }, output: { type: "number", minimum: 0 } }
+      }
+    },
+    price_currency: { type: "string" },
+    session_token_budget: { type: "integer", minimum: 0 },
+    session_budget_action: { type: "string", enum: ["refuse", "truncate"] },
+    user_settings: { type: "array", items: { type: "string", enum: ["reply_length", "translate_language", "reply_language", "signature", "quick_reply_auto_insert", "default_persona", "chat_streaming"] } },
+    default_persona: { type: "string" },
+    persona_auto_select: { type: "boolean" },
+    personas: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id"],
+        additionalProperties: false,
+        properties: {
+          id: { type: "string" }, name: { type: "string" }, systemPrompt: PROMPT_SCHEMA, systemPromptKey: { type: "string" },
+          replyInstruction: { type: "string" }, tone: { type: "string" }, signature: { type: "string" },
+          intentions: { type: "array", items: { type: "string" } }
+        }
+      }
+    },
+    quickReplyUserInstruction: PROMPT_SCHEMA,
+    chatSystemPrompt: PROMPT_SCHEMA,
+    helpdeskPrompt: PROMPT_SCHEMA,
+    sendCheckPrompt: PROMPT_SCHEMA,
+    translatePrompt: PROMPT_SCHEMA,
+    subjectPrompt: PROMPT_SCHEMA,
+    analysisPrompt: PROMPT_SCHEMA,
+    actionsPrompt: PROMPT_SCHEMA,
+    sentimentPrompt: PROMPT_SCHEMA,
+    urgencyPrompt: PROMPT_SCHEMA,
+    intentionPrompt: PROMPT_SCHEMA
   }
-}
-if (typeof window !== "undefined") window.setMetaData = setMetaDataLocal;
+};
 
-/* ============================
-   Theme helper
-   ============================ */
+/** Values left from the template (<ENTER...>) or an environment reference the build did not substitute. */
+const CONFIG_PLACEHOLDER_PATTERN = /<ENTER[^>]*>|\$\{[A-Za-z_][A-Za-z0-9_]*(?::-[^}]*)?\}/i;
 
 /**
- * Apply Office theme variables to :root.
- * @param {Object} theme
+ * Levenshtein distance, used to suggest the intended key for a typo.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
  */
-function applyOfficeThemeVars(theme) {
-  if (!theme) return;
-  const FALLBACKS = { bg: "#ffffff", surface: "#fbfcfd", text: "#111827", border: "#e6e9ee", muted: "#6b7280" };
-  function readCssVar(name) {
-    try { if (typeof window !== "undefined" && window.getComputedStyle) { const comp = window.getComputedStyle(document.documentElement); const val = comp.getPropertyValue(name); if (val) return val.trim(); } } catch (e) { /* ignore read error */ }
-    try { const inline = document.documentElement.style.getPropertyValue(name); if (inline) return inline.trim(); } catch (e) { /* ignore read error */ }
-    const key = name.replace(/^--/, "");
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Validate one value against a CONFIG_SCHEMA node, appending problems.
+ * @param {any} value
+ * @param {Object} schema
+ * @param {string} path Dotted key path used in messages.
+ * @param {Array<ConfigProblem>} problems
+ */
+function checkConfigValue(value, schema, path, problems) {
+  const error = (message, at = path) => problems.push({ level: "error", path: at, message });
+  const actual = Array.isArray(value) ? "array" : value === null ? "null" : Number.isInteger(value) ? "integer" : typeof value;
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some((t) => t === actual || (t === "number" && actual === "integer"))) { error(`must be ${types.join(" or ")}, not ${actual}`); return; }
+  if (schema.enum && !schema.enum.includes(value)) { error(`must be one of: ${schema.enum.join(", ")}`); return; }
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) error(`must be at least ${schema.minimum}`);
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) error(`must be greater than ${schema.exclusiveMinimum}`);
+  }
+  if (typeof value === "string" && value) {
+    if (schema.format === "url" && !/^(https?:\/\/|\/)/i.test(value) && !CONFIG_PLACEHOLDER_PATTERN.test(value)) error("must be an http(s) URL or a path starting with /");
+    if (schema.format === "regex") { try { new RegExp(value); } catch (e) { error(`is not a valid regular expression (${e.message})`); } }
+  }
+  if (actual === "array" && schema.items) value.forEach((v, i) => checkConfigValue(v, schema.items, `${path}[${i}]`, problems));
+  if (actual === "object" && (schema.properties || schema.additionalProperties)) {
+    const at = (k) => (path ? `${path}.${k}` : k);
+    for (const key of schema.required || []) if (!(key in value)) error("is required", at(key));
+    for (const [k, v] of Object.entries(value)) {
+      if (schema.properties?.[k]) { checkConfigValue(v, schema.properties[k], at(k), problems); continue; }
+      if (schema.additionalProperties && typeof schema.additionalProperties === "object") { checkConfigValue(v, schema.additionalProperties, at(k), problems); continue; }
+      if (schema.additionalProperties !== false) continue;
+      const known = Object.keys(schema.properties || {});
+      const guess = known.map((name) => ({ name, d: editDistance(k.toLowerCase(), name.toLowerCase()) })).sort((x, y) => x.d - y.d)[0];
+      problems.push({ level: "warning", path: at(k), message: `is not a supported key and is ignored${guess && guess.d <= 2 ? ` (did you mean "${guess.name}"?)` : ""}` });
+    }
+  }
+}
+
+/**
+ * Validate a parsed config.json: schema, template placeholders and cross-key references.
+ * Keys named by a persona's systemPromptKey are accepted as prompts.
+ * @param {any} parsed
+ * @returns {Array<ConfigProblem>}
+ */
+function validateConfig(parsed) {
+  const problems = [];
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return [{ level: "error", path: "", message: "config.json must contain a JSON object" }];
+  const personas = Array.isArray(parsed.personas) ? parsed.personas : [];
+  const promptKeys = personas.map((p) => p && p.systemPromptKey).filter((k) => typeof k === "string" && k);
+  const schema = { ...CONFIG_SCHEMA, properties: { ...CONFIG_SCHEMA.properties } };
+  for (const key of promptKeys) schema.properties[key] = schema.properties[key] || PROMPT_SCHEMA;
+  checkConfigValue(parsed, schema, "", problems);
+
+  // Regexes and prompts may legitimately contain "<ENTER" or "${name}", so only other values are scanned.
+  const scan = (value, path, sub) => {
+    if (sub === PROMPT_SCHEMA || sub?.format === "regex") return;
+    if (typeof value === "string") { if (CONFIG_PLACEHOLDER_PATTERN.test(value)) problems.push({ level: "error", path, message: `still holds the placeholder "${value.match(CONFIG_PLACEHOLDER_PATTERN)[0]}"` }); }
+    else if (Array.isArray(value)) value.forEach((v, i) => scan(v, `${path}[${i}]`, sub?.items));
+    else if (value && typeof value === "object") for (const [k, v] of Object.entries(value)) scan(v, path ? `${path}.${k}` : k, sub?.properties?.[k]);
+  };
+  scan(parsed, "", schema);
+
+  for (const key of promptKeys) if (!(key in parsed)) problems.push({ level: "error", path: key, message: "is named by a persona's systemPromptKey but is not defined" });
+  if (parsed.default_persona && personas.length && !personas.some((p) => p && p.id === parsed.default_persona)) {
+    problems.push({ level: "error", path: "default_persona", message: `"${parsed.default_persona}" does not match any persona id` });
+  }
+  if (parsed.thread_backend === "http" && !parsed.thread_endpoint) problems.push({ level: "error", path: "thread_endpoint", message: "is required when thread_backend is \"http\"" });
+
+  const taxonomy = parsed.taxonomy && typeof parsed.taxonomy === "object" ? parsed.taxonomy : {};
+  for (const field of TAXONOMY_FIELDS) {
+    const def = taxonomy[field];
+    if (!def || !Array.isArray(def.labels)) continue;
+    const at = `taxonomy.${field}`;
+    if (!def.labels.length) problems.push({ level: "error", path: `${at}.labels`, message: "must list at least one label" });
+    const seen = new Set();
+    def.labels.forEach((l, i) => {
+      const name = String(l?.label ?? "").trim().toLowerCase();
+      if (!name) problems.push({ level: "error", path: `${at}.labels[${i}].label`, message: "must not be empty" });
+      else if (seen.has(name)) problems.push({ level: "error", path: `${at}.labels[${i}].label`, message: `repeats "${l.label}"` });
+      seen.add(name);
+      if (typeof l?.color === "string" && l.color && !CSS_COLOR_PATTERN.test(l.color.trim())) problems.push({ level: "error", path: `${at}.labels[${i}].color`, message: `"${l.color}" is not a CSS colour` });
+    });
+    if (typeof def.fallback === "string" && def.fallback && !seen.has(def.fallback.trim().toLowerCase())) {
+      problems.push({ level: "error", path: `${at}.fallback`, message: `"${def.fallback}" is not one of the labels` });
+    }
+  }
+  const labelsOf = (field) => normalizeTaxonomy(taxonomy)[field].labels.map((l) => l.label.toLowerCase());
+  const intentions = labelsOf("intention");
+  personas.forEach((p, i) => (Array.isArray(p?.intentions) ? p.intentions : []).forEach((label, j) => {
+    if (!intentions.includes(String(label).toLowerCase())) problems.push({ level: "warning", path: `personas[${i}].intentions[${j}]`, message: `"${label}" is not an intention label, so it never matches` });
+  }));
+  (Array.isArray(parsed.category_rules) ? parsed.category_rules : []).forEach((rule, i) => {
+    if (!rule || !rule.when || typeof rule.when !== "object") return;
+    if (!Object.keys(rule.when).length) problems.push({ level: "warning", path: `category_rules[${i}].when`, message: "names no labels, so the rule never matches" });
+    for (const [field, expected] of Object.entries(rule.when)) {
+      if (!TAXONOMY_FIELDS.includes(field)) continue;
+      for (const label of [].concat(expected)) {
+        if (!labelsOf(field).includes(String(label).toLowerCase())) problems.push({ level: "warning", path: `category_rules[${i}].when.${field}`, message: `"${label}" is not one of the ${field} labels, so it never matches` });
+      }
+    }
+  });
+  return problems;
+}
+
+/**
+ * List config problems at the top of the pane. Errors also stop the pane from starting.
+ * @param {Array<ConfigProblem>} problems
+ */
+function renderConfigProblems(problems) {
+  const box = document.getElementById("configProblems");
+  const list = document.getElementById("configProblemList");
+  if (!box || !list) return;
+  list.textContent = "";
+  for (const p of problems) {
+    const li = document.createElement("li");
+    li.className = p.level;
+    li.textContent = `${p.level === "error" ? "Error" : "Warning"}: ${p.path || "config.json"} ${p.message}`;
+    list.appendChild(li);
+  }
+  const fatal = problems.some((p) => p.level === "error");
+  const title = document.getElementById("configProblemsTitle");
+  if (title) title.textContent = fatal ? "The add-in cannot start because config.json has errors:" : "config.json has warnings:";
+  box.classList.toggle("hidden", problems.length === 0);
+  box.classList.toggle("fatal", fatal);
+}
+
+/* ============================
+   HTML sanitizer (allowlist)
+   ============================ */
+
+/** Tags kept as-is (attributes still filtered). */
+const SANITIZE_ALLOWED_TAGS = new Set([
+  "a", "abbr", "b", "blockquote", "br", "caption", "center", "code", "col", "colgroup", "dd", "del", "div", "dl", "dt",
+  "em", "font", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "ins", "li", "ol", "p", "pre", "s", "small",
+  "span", "strike", "strong", "sub", "sup", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "u", "ul"
+]);
+
+/** Tags removed together with their content. Anything else not allowed is unwrapped (children kept). */
+const SANITIZE_DROP_TAGS = new Set([
+  "script", "style", "iframe", "frame", "frameset", "object", "embed", "applet", "svg", "math", "template", "noscript",
+  "form", "input", "button", "textarea", "select", "option", "link", "meta", "base", "title", "head", "audio", "video",
+  "source", "track", "canvas", "portal", "xml"
+]);
+
+/** Attributes allowed on every kept tag. */
+const SANITIZE_GLOBAL_ATTRS = new Set(["align", "valign", "dir", "lang", "title", "style", "width", "height", "bgcolor", "class"]);
+
+/** Extra attributes per tag. */
+const SANITIZE_TAG_ATTRS = {
+  a: ["href", "name", "target"],
+  img: ["src", "alt", "border"],
+  font: ["color", "face", "size"],
+  table: ["border", "cellpadding", "cellspacing"],
+  td: ["colspan", "rowspan", "nowrap"],
+  th: ["colspan", "rowspan", "scope"],
+  col: ["span"],
+  colgroup: ["span"],
+  ol: ["start", "type"],
+  ul: ["type"]
+};
+
+/** CSS properties allowed inside style attributes. */
+const SANITIZE_STYLE_PROPS = /^(color|background-color|font(-family|-size|-style|-weight)?|text-(align|decoration|indent|transform)|line-height|letter-spacing|white-space|vertical-align|list-style(-type)?|(margin|padding)(-(top|right|bottom|left))?|border(-(top|right|bottom|left))?(-(width|style|color))?|border-collapse|width|height|max-width|min-width|display)$/i;
+
+/**
+ * Check a URL attribute value against the schemes allowed for email content.
+ * Relative links and fragments are allowed; images may also use cid: and raster data: URLs.
+ * @param {string} value
+ * @param {'href'|'src'} kind
+ * @returns {boolean}
+ */
+function isSafeUrl(value, kind) {
+  // Browsers ignore control characters and whitespace inside schemes ("java\tscript:"), so compare without them.
+  // eslint-disable-next-line no-control-regex
+  const v = String(value || "").replace(/[\u0000-\u0020\u007f-\u009f]/g, "").toLowerCase();
+  const scheme = /^([a-z][a-z0-9+.-]*):/.exec(v);
+  if (!scheme) return true;
+  if (kind === "href") return ["http", "https", "mailto", "tel"].includes(scheme[1]);
+  if (scheme[1] === "data") return /^data:image\/(png|gif|jpe?g|webp);base64,[a-z0-9+/=]+$/.test(v);
+  return ["http", "https", "cid"].includes(scheme[1]);
+}
+
+/**
+ * Keep only allowlisted CSS declarations whose values cannot load resources or run script.
+ * @param {string} style
+ * @returns {string}
+ */
+function sanitizeStyle(style) {
+  return String(style || "")
+    .split(";")
+    .map((decl) => {
+      const i = decl.indexOf(":");
+      if (i < 0) return "";
+      const prop = decl.slice(0, i).trim();
+      const value = decl.slice(i + 1).trim();
+      if (!SANITIZE_STYLE_PROPS.test(prop) || !value) return "";
+      if (/url\s*\(|expression\s*\(|image-set|@import|behavior|binding|javascript:|[\\<>]/i.test(value)) return "";
+      return `${prop.toLowerCase()}: ${value}`;
+    })
+    .filter(Boolean)
+    .join("; ");
+}
+
+/**
+ * Filter the attributes of a kept element in place.
+ * @param {Element} el
+ */
+function sanitizeAttributes(el) {
+  const tag = el.tagName.toLowerCase();
+  const allowed = SANITIZE_TAG_ATTRS[tag] || [];
+  for (const attr of Array.from(el.attributes)) {
+    const name = attr.name.toLowerCase();
+    if (!SANITIZE_GLOBAL_ATTRS.has(name) && !allowed.includes(name)) { el.removeAttribute(attr.name); continue; }
+    if ((name === "href" || name === "src") && !isSafeUrl(attr.value, name)) { el.removeAttribute(attr.name); continue; }
+    if (name === "style") {
+      const css = sanitizeStyle(attr.value);
+      if (css) el.setAttribute("style", css); else el.removeAttribute("style");
+    }
+  }
+  if (tag === "a" && el.hasAttribute("target")) {
+    el.setAttribute("target", "_blank");
+    el.setAttribute("rel", "noopener noreferrer");
+  }
+}
+
+/**
+ * Walk a node's children, dropping, unwrapping or filtering each element.
+ * @param {Node} parent
+ */
+function sanitizeChildren(parent) {
+  for (const node of Array.from(parent.childNodes)) {
+    if (node.nodeType === 3) continue;
+    if (node.nodeType !== 1) { node.remove(); continue; }
+    const tag = node.tagName.toLowerCase();
+    if (SANITIZE_DROP_TAGS.has(tag)) { node.remove(); continue; }
+    sanitizeChildren(node);
+    if (SANITIZE_ALLOWED_TAGS.has(tag)) sanitizeAttributes(node);
+    else node.replaceWith(...Array.from(node.childNodes));
+  }
+}
+
+/**
+ * Allowlist HTML sanitizer for model output written into the compose body or the pane.
+ * Parses into an inert document (no script runs, nothing loads), keeps email-safe tags,
+ * attributes, URL schemes and CSS, and returns the cleaned body markup.
+ * Without DOMParser the input is returned as escaped text.
+ * @param {string} html
+ * @returns {string}
+ */
+function sanitizeHtml(html) {
+  const input = String(html || "");
+  if (typeof window === "undefined" || typeof window.DOMParser !== "function") {
+    // No DOM to lean on here either, so escape by hand.
+    return input.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  }
+  const doc = new window.DOMParser().parseFromString(input, "text/html");
+  sanitizeChildren(doc.body);
+  return doc.body.innerHTML;
+}
+
+/* ============================
+   setMetaData
+   ============================ */
+
+/**
+ * Update UI metadata fields (sentiment, urgency, intention, plus optional confidence and rationale)
+ * and colour their indicators from the taxonomy.
+ * @param {string} sentiment
+ * @param {string} urgency
+ * @param {string} intention
+ * @param {{confidence:(number|null)=, rationale:string=}} [details]
+ */
+function setMetaDataLocal(sentiment, urgency, intention, details = {}) {
+  log(`Email Metadata - Sentiment: ${sentiment}, Urgency: ${urgency}, Intention: ${intention}`);
+  const sentimentEl = document.getElementById("sentiment");
+  const urgencyEl = document.getElementById("urgency");
+  const intentionEl = document.getElementById("intention");
+  const confidenceEl = document.getElementById("confidence");
+  const languageEl = document.getElementById("language");
+  const rationaleEl = document.getElementById("analysisRationale");
+  if (sentimentEl) sentimentEl.textContent = sentiment ?? "—";
+  if (urgencyEl) urgencyEl.textContent = urgency ?? "—";
+  if (intentionEl) intentionEl.textContent = intention ?? "—";
+  if (languageEl) languageEl.textContent = details.language || "—";
+  if (confidenceEl) confidenceEl.textContent = typeof details.confidence === "number" ? `${Math.round(details.confidence * 100)}%` : "—";
+  if (rationaleEl) {
+    rationaleEl.textContent = details.rationale || "";
+    rationaleEl.classList.toggle("hidden", !details.rationale);
+  }
+  // Indicator colours come from the taxonomy; labels without one show the neutral "unknown" style.
+  for (const [field, value] of [["sentiment", sentiment], ["urgency", urgency], ["intention", intention]]) {
+    const indicator = document.getElementById(`${field}Indicator`);
+    if (!indicator) continue;
+    const color = getTaxonomyLabel(field, value)?.color || "";
+    indicator.style.background = color;
+    indicator.classList.toggle("unknown", !color);
+  }
+}
+if (typeof window !== "undefined") window.setMetaData = setMetaDataLocal;
+
+/* ============================
+   Theme helper
+   ============================ */
+
+/**
+ * Apply Office theme variables to :root.
+ * @param {Object} theme
+ */
+function applyOfficeThemeVars(theme) {
+  if (!theme) return;
+  const FALLBACKS = { bg: "#ffffff", surface: "#fbfcfd", text: "#111827", border: "#e6e9ee", muted: "#6b7280" };
+  function readCssVar(name) {
+    try { if (typeof window !== "undefined" && window.getComputedStyle) { const comp = window.getComputedStyle(document.documentElement); const val = comp.getPropertyValue(name); if (val) return val.trim(); } } catch (e) { /* ignore read error */ }
+    try { const inline = document.documentElement.style.getPropertyValue(name); if (inline) return inline.trim(); } catch (e) { /* ignore read error */ }
+    const key = name.replace(/^--/, "");
     return FALLBACKS[key] || "";
   }
   const bg = readCssVar("--bg") || FALLBACKS.bg;
@@ -245,48 +1475,216 @@ function applyOfficeThemeVars(theme) {
    ============================ */
 
 /**
- * Save a backup of the current compose HTML body.
+ * Promisify an Office.js async call; resolves with asyncResult.value.
+ * @param {function(function(Office.AsyncResult<any>): void): void} invoke
+ * @returns {Promise<any>}
+ */
+function officeAsync(invoke) {
+  return new Promise((resolve, reject) => {
+    invoke((r) => {
+      if (r.status === Office.AsyncResultStatus.Succeeded) resolve(r.value);
+      else reject(r.error || new Error("Office async call failed"));
+    });
+  });
+}
+
+/**
+ * Read the current compose body, subject and recipients.
+ * @returns {Promise<ComposeSnapshot|null>} Null when there is no compose body to read.
+ */
+async function captureComposeSnapshot() {
+  const item = Office?.context?.mailbox?.item;
+  if (!item || typeof item.body?.getAsync !== "function") return null;
+  const body = await officeAsync((cb) => item.body.getAsync(Office.CoercionType.Html, cb)).catch(() => "");
+  const subject = typeof item.subject?.getAsync === "function"
+    ? await officeAsync((cb) => item.subject.getAsync(cb)).catch(() => null)
+    : null;
+  let recipients = null;
+  if (RECIPIENT_FIELDS.every((f) => typeof item[f]?.getAsync === "function")) {
+    recipients = {};
+    for (const f of RECIPIENT_FIELDS) recipients[f] = await officeAsync((cb) => item[f].getAsync(cb)).catch(() => []);
+  }
+  return { body: body || "", subject, recipients };
+}
+
+/**
+ * Write a snapshot back into the compose item.
+ * The body is only rewritten when it differs, and as captured: it came from Outlook, and sanitizing
+ * it again would drop the <head> styles and backgrounds the message already had.
+ * @param {ComposeSnapshot} snap
+ * @returns {Promise<void>}
+ */
+async function applyComposeSnapshot(snap) {
+  const item = Office?.context?.mailbox?.item;
+  if (typeof item?.body?.setAsync !== "function") throw new Error("setAsync not available");
+  if ((await getCurrentComposeHtml()) !== snap.body) {
+    await officeAsync((cb) => item.body.setAsync(snap.body, { coercionType: Office.CoercionType.Html }, cb));
+  }
+  draft = snap.body;
+  if (snap.subject !== null && typeof item?.subject?.setAsync === "function") {
+    await officeAsync((cb) => item.subject.setAsync(snap.subject, cb));
+  }
+  if (snap.recipients) {
+    for (const f of RECIPIENT_FIELDS) {
+      if (typeof item?.[f]?.setAsync === "function") await officeAsync((cb) => item[f].setAsync(snap.recipients[f] || [], cb));
+    }
+  }
+}
+
+/**
+ * Key the history on the compose item's id. getItemIdAsync fails for a draft that was never saved,
+ * which then gets a key of its own for this pane session rather than sharing one with other drafts.
+ * @param {Office.MessageCompose} item
+ * @returns {Promise<string>}
+ */
+composeBackupStore.resolveItemKey = async function(item) {
+  const id = typeof item?.getItemIdAsync === "function" ? await officeAsync((cb) => item.getItemIdAsync(cb)).catch(() => "") : "";
+  this.itemKey = id ? String(id) : `unsaved-${Date.now().toString(36)}`;
+  return this.itemKey;
+};
+
+/**
+ * Version history for the current compose item, created on first use.
+ * @returns {{versions: Array<DraftVersion>, index: number}}
+ */
+composeBackupStore.current = function() {
+  if (!this.itemKey) this.itemKey = `unsaved-${Date.now().toString(36)}`;
+  const key = this.itemKey;
+  if (!this.histories.has(key)) this.histories.set(key, { versions: [], index: -1 });
+  return this.histories.get(key);
+};
+
+/**
+ * Push a version, dropping any redo branch and the oldest entries beyond `draft_history_cap`.
+ * @param {{versions: Array<DraftVersion>, index: number}} h
+ * @param {ComposeSnapshot} snapshot
+ * @param {string} label
+ */
+composeBackupStore.push = function(h, snapshot, label) {
+  h.versions.splice(h.index + 1);
+  h.versions.push({ snapshot, label, at: Date.now() });
+  const cap = Math.max(2, Number(getVar("draft_history_cap")) || DEFAULT_DRAFT_HISTORY_CAP);
+  if (h.versions.length > cap) h.versions.splice(0, h.versions.length - cap);
+  h.index = h.versions.length - 1;
+};
+
+/**
+ * Record the compose state before an assistant edit. The first call stores the "Original" version;
+ * later calls store "Manual edits" when the user changed the draft since the current version.
  * @returns {Promise<void>}
  */
 composeBackupStore.saveBackup = async function() {
   try {
-    const item = Office?.context?.mailbox?.item;
-    if (!item || typeof item.body?.getAsync !== "function") return;
-    const html = await new Promise((resolve) => {
-      item.body.getAsync(Office.CoercionType.Html, (res) => {
-        if (res.status === Office.AsyncResultStatus.Succeeded) resolve(res.value || "");
-        else resolve("");
-      });
-    });
-    this.lastBackup = html;
+    const snap = await captureComposeSnapshot();
+    if (!snap) return;
+    const h = this.current();
+    const cur = h.versions[h.index];
+    if (!cur) this.push(h, snap, "Original");
+    else if (JSON.stringify(cur.snapshot) !== JSON.stringify(snap)) this.push(h, snap, "Manual edits");
     log("Saved compose backup.");
   } catch (e) { console.warn("saveBackup failed", e); }
 };
 
 /**
- * Restore the last saved compose backup.
+ * Record the compose state after an assistant edit, labelled with the instruction that produced it.
+ * @param {string} [label] Defaults to composeBackupStore.instruction.
+ * @returns {Promise<void>}
+ */
+composeBackupStore.recordVersion = async function(label) {
+  try {
+    const snap = await captureComposeSnapshot();
+    if (!snap) return;
+    const h = this.current();
+    // A rejected review leaves the compose unchanged; don't add a duplicate version.
+    if (h.versions[h.index] && JSON.stringify(h.versions[h.index].snapshot) === JSON.stringify(snap)) return;
+    this.push(h, snap, label || this.instruction || "Assistant edit");
+    renderVersionHistory();
+  } catch (e) { console.warn("recordVersion failed", e); }
+};
+
+/**
+ * Restore the version at an index of the current item's history.
+ * @param {number} index
  * @returns {Promise<boolean>}
  */
-composeBackupStore.restoreBackup = async function() {
-  if (!this.lastBackup) return false;
+composeBackupStore.restoreVersion = async function(index) {
+  const h = this.current();
+  const v = h.versions[index];
+  if (!v) return false;
   try {
-    await applyComposeHtml(this.lastBackup, { createBackup: false });
-    this.lastBackup = null;
+    await applyComposeSnapshot(v.snapshot);
+    h.index = index;
+    renderVersionHistory();
     return true;
-  } catch (e) { console.warn("restoreBackup failed", e); return false; }
+  } catch (e) { console.warn("restoreVersion failed", e); return false; }
+};
+
+/**
+ * Step back one version (Undo).
+ * @returns {Promise<boolean>}
+ */
+composeBackupStore.restoreBackup = async function() {
+  const h = this.current();
+  return h.index > 0 ? this.restoreVersion(h.index - 1) : false;
+};
+
+/**
+ * Step forward one version (Redo).
+ * @returns {Promise<boolean>}
+ */
+composeBackupStore.redo = async function() {
+  const h = this.current();
+  return h.index < h.versions.length - 1 ? this.restoreVersion(h.index + 1) : false;
 };
 
+/**
+ * Refresh the Undo/Redo buttons and the version list for the current item.
+ */
+function renderVersionHistory() {
+  const h = composeBackupStore.current();
+  const undoBtn = document.getElementById("draftUndoBtn");
+  const redoBtn = document.getElementById("draftRedoBtn");
+  if (undoBtn) undoBtn.disabled = h.index <= 0;
+  if (redoBtn) redoBtn.disabled = h.index >= h.versions.length - 1;
+  const list = document.getElementById("versionList");
+  if (!list) return;
+  list.textContent = "";
+  h.versions.forEach((v, i) => {
+    const li = document.createElement("li");
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "ghost";
+    btn.textContent = `${new Date(v.at).toLocaleTimeString()} · ${v.label}`;
+    btn.title = v.label;
+    if (i === h.index) { btn.setAttribute("aria-current", "true"); btn.disabled = true; }
+    btn.addEventListener("click", async () => {
+      if (!(await composeBackupStore.restoreVersion(i))) showError("Could not restore that version.");
+    });
+    li.appendChild(btn);
+    list.appendChild(li);
+  });
+}
+
 /**
  * Apply HTML into the current compose using setAsync; throws if unavailable.
+ * With createBackup the states before and after are added to the item's version history.
+ * Assistant edits (createBackup, or review: true) are shown as a diff first when `draft_review` is on;
+ * restores pass createBackup: false and are never reviewed.
  * @param {string} htmlContent
- * @param {{createBackup:boolean}} [options]
- * @returns {Promise<void>}
+ * @param {{createBackup:boolean, review:boolean=, label:string=}} [options]
+ * @returns {Promise<boolean>} False when the user rejected the change in review.
  */
 async function applyComposeHtml(htmlContent, options = { createBackup: true }) {
-  const html = sanitizeHtml(String(htmlContent || "<p></p>"));
+  let html = sanitizeHtml(String(htmlContent || "<p></p>"));
   if (options.createBackup) await composeBackupStore.saveBackup();
   const item = Office?.context?.mailbox?.item;
   if (item && typeof item.body?.setAsync === "function") {
+    if ((options.review ?? options.createBackup) && getVar("draft_review") === true) {
+      // Diff like for like: the proposal is sanitized, so the current body has to be too.
+      const reviewed = await reviewDraftChange(sanitizeHtml(await getCurrentComposeHtml()), html);
+      if (reviewed === null) { log("applyComposeHtml: change rejected in review."); return false; }
+      html = sanitizeHtml(reviewed);
+    }
     await new Promise((resolve, reject) => {
       item.body.setAsync(html, { coercionType: Office.CoercionType.Html }, (r) => {
         if (r.status === Office.AsyncResultStatus.Succeeded) resolve(true);
@@ -294,7 +1692,8 @@ async function applyComposeHtml(htmlContent, options = { createBackup: true }) {
       });
     });
     log("applyComposeHtml: setAsync applied.");
-    return;
+    if (options.createBackup) await composeBackupStore.recordVersion(options.label);
+    return true;
   }
   throw new Error("setAsync not available");
 }
@@ -319,6 +1718,275 @@ async function getCurrentComposeHtml() {
   }
 }
 
+/* ============================
+   Draft review (word-level diff)
+   ============================ */
+
+/** Largest token grid the LCS diff will fill before treating the changed middle as one hunk. */
+const MAX_DIFF_CELLS = 2000000;
+
+/** Tags that start a new line in the diff view. */
+const DIFF_BLOCK_TAG = /^<\/?(p|div|br|li|tr|h[1-6]|blockquote|pre|table|ul|ol)\b/i;
+/** Elements that have no end tag. */
+const VOID_TAGS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+
+/**
+ * Split HTML into tag, whitespace and word tokens.
+ * @param {string} html
+ * @returns {Array<string>}
+ */
+function tokenizeHtml(html) {
+  return String(html || "").match(/<[^>]*>|\s+|[^<\s]+|</g) || [];
+}
+
+/**
+ * Token diff via common prefix/suffix trimming and an LCS table over what remains.
+ * @param {Array<string>} a Current tokens.
+ * @param {Array<string>} b Proposed tokens.
+ * @returns {Array<{type:('equal'|'remove'|'add'), token:string}>}
+ */
+function diffTokens(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+  const ops = a.slice(0, start).map((token) => ({ type: "equal", token }));
+  const midA = a.slice(start, endA), midB = b.slice(start, endB);
+  const n = midA.length, m = midB.length;
+  if (n * m > MAX_DIFF_CELLS) {
+    midA.forEach((token) => ops.push({ type: "remove", token }));
+    midB.forEach((token) => ops.push({ type: "add", token }));
+  } else {
+    // lcs[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = midA[i] === midB[j] ? lcs[(i + 1) * (m + 1) + j + 1] + 1 : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) { ops.push({ type: "equal", token: midA[i] }); i++; j++; }
+      else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) ops.push({ type: "remove", token: midA[i++] });
+      else ops.push({ type: "add", token: midB[j++] });
+    }
+    while (i < n) ops.push({ type: "remove", token: midA[i++] });
+    while (j < m) ops.push({ type: "add", token: midB[j++] });
+  }
+  a.slice(endA).forEach((token) => ops.push({ type: "equal", token }));
+  return ops;
+}
+
+/**
+ * Group diff ops into equal runs and change hunks.
+ * @param {Array<{type:string, token:string}>} ops
+ * @returns {Array<{equal:Array<string>=, removed:Array<string>=, added:Array<string>=}>}
+ */
+function groupDiffHunks(ops) {
+  const out = [];
+  for (const op of ops) {
+    const last = out[out.length - 1];
+    if (op.type === "equal") {
+      if (last?.equal) last.equal.push(op.token); else out.push({ equal: [op.token] });
+    } else {
+      const hunk = last && !last.equal ? last : (out.push({ removed: [], added: [] }), out[out.length - 1]);
+      (op.type === "remove" ? hunk.removed : hunk.added).push(op.token);
+    }
+  }
+  return out;
+}
+
+/**
+ * Whether every start tag in a token run is closed, innermost first (void elements and comments aside).
+ * @param {Array<string>} tokens From tokenizeHtml.
+ * @returns {boolean}
+ */
+function tagsBalanced(tokens) {
+  const open = [];
+  for (const t of tokens) {
+    const m = /^<(\/?)([a-z][\w:-]*)[^>]*?(\/?)>$/i.exec(t);
+    if (!m) continue;
+    const name = m[2].toLowerCase();
+    if (m[1]) { if (open.pop() !== name) return false; }
+    else if (!m[3] && !VOID_TAGS.has(name)) open.push(name);
+  }
+  return open.length === 0;
+}
+
+/**
+ * Visible text of a token run: tags are dropped, block tags become line breaks.
+ * @param {Array<string>} tokens
+ * @returns {string}
+ */
+function diffTokensToText(tokens) {
+  // A textarea parses its content as text, so this only decodes entities.
+  const decoder = document.createElement("textarea");
+  decoder.innerHTML = tokens.map((t) => (t.length > 1 && t.startsWith("<") ? (DIFF_BLOCK_TAG.test(t) ? "\n" : "") : t)).join("");
+  return decoder.value;
+}
+
+/**
+ * Resolves the review currently on screen.
+ * @type {?function(?string): void}
+ */
+let pendingReviewResolve = null;
+
+/**
+ * Show the proposed HTML as a word-level diff against the current compose body and wait for a decision.
+ * Hunks that only change markup are applied with Accept / Accept selected without a checkbox.
+ * When the ticked hunks would mix opening and closing tags from both versions, only the whole draft
+ * can be accepted or rejected.
+ * @param {string} currentHtml
+ * @param {string} proposedHtml
+ * @returns {Promise<string|null>} HTML to apply, or null when rejected.
+ */
+function reviewDraftChange(currentHtml, proposedHtml) {
+  const panel = document.getElementById("draftReview");
+  const view = document.getElementById("draftReviewDiff");
+  if (!panel || !view) return Promise.resolve(proposedHtml);
+  if (pendingReviewResolve) pendingReviewResolve(null);
+
+  const hunks = groupDiffHunks(diffTokens(tokenizeHtml(currentHtml), tokenizeHtml(proposedHtml)));
+  view.textContent = "";
+  let changeCount = 0;
+  hunks.forEach((h, idx) => {
+    if (h.equal) { view.appendChild(document.createTextNode(diffTokensToText(h.equal))); return; }
+    const removedText = diffTokensToText(h.removed), addedText = diffTokensToText(h.added);
+    if (!removedText.trim() && !addedText.trim()) return;
+    changeCount++;
+    const label = document.createElement("label");
+    label.className = "diff-hunk";
+    const box = document.createElement("input");
+    box.type = "checkbox"; box.checked = true; box.dataset.hunk = String(idx);
+    box.setAttribute("aria-label", `Keep change ${changeCount}`);
+    label.appendChild(box);
+    if (removedText) { const del = document.createElement("del"); del.textContent = removedText; label.appendChild(del); }
+    if (addedText) { const ins = document.createElement("ins"); ins.textContent = addedText; label.appendChild(ins); }
+    view.appendChild(label);
+  });
+  const summary = document.getElementById("draftReviewSummary");
+  const acceptSelected = document.getElementById("draftReviewAcceptSelected");
+  if (acceptSelected) acceptSelected.disabled = false;
+  if (summary) summary.textContent = changeCount ? `${changeCount} change(s) proposed. Untick any you don't want.` : "Only formatting changes proposed.";
+  panel.classList.remove("hidden");
+  panel.scrollIntoView?.({ block: "nearest" });
+
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      pendingReviewResolve = null;
+      panel.classList.add("hidden");
+      view.textContent = "";
+      resolve(result);
+    };
+    pendingReviewResolve = finish;
+    const bind = (id, fn) => { const b = document.getElementById(id); if (b) b.onclick = () => { if (pendingReviewResolve === finish) fn(); }; };
+    bind("draftReviewAccept", () => finish(proposedHtml));
+    bind("draftReviewReject", () => finish(null));
+    bind("draftReviewAcceptSelected", () => {
+      const boxes = Array.from(view.querySelectorAll("input[data-hunk]"));
+      const rejected = new Set(boxes.filter((b) => !b.checked).map((b) => Number(b.dataset.hunk)));
+      const tokens = hunks.flatMap((h, idx) => h.equal || (rejected.has(idx) ? h.removed : h.added));
+      // sanitizeHtml would silently re-nest unbalanced markup into something neither version had.
+      if (rejected.size && tagsBalanced(tokenizeHtml(proposedHtml)) && !tagsBalanced(tokens)) {
+        boxes.forEach((b) => { b.checked = true; b.disabled = true; });
+        if (acceptSelected) acceptSelected.disabled = true;
+        if (summary) summary.textContent = "These changes overlap the formatting and can only be accepted or rejected together.";
+        return;
+      }
+      finish(tokens.join(""));
+    });
+  });
+}
+
+/* ============================
+   Compose tools (model-callable)
+   ============================ */
+
+/**
+ * Handlers for the function tools in TOOL_DECLARATIONS.
+ * Each applies one change to the current item and resolves with a status message for the chat.
+ * Backups are taken once by runToolCalls, so handlers never create their own.
+ * @type {Object<string, function(Object, {item: Office.Item}): Promise<string>>}
+ */
+const TOOL_HANDLERS = {
+  async setDraftBody(args, ctx) {
+    const html = args.htmlContent || args.html || args.content || "";
+    if (!html) throw new Error("Assistant attempted to modify draft but returned no content.");
+    try {
+      if (!(await applyComposeHtml(html, { createBackup: false, review: true }))) return "Proposed draft rejected; the compose body was left unchanged.";
+      draft = (await getCurrentComposeHtml()) || html; // CRITICAL: Update global draft state
+      return args.explanation || "Draft updated in compose window.";
+    } catch (e) {
+      // FALLBACK RETAINED: Open in new compose window if setAsync fails
+      log("applyComposeHtml failed; falling back to openComposeWithHtml: " + (e && e.message));
+      draft = html;
+      if (ctx.item) openComposeWithHtml(ctx.item, sanitizeHtml(html), getSuggestedSubjectFromItem(ctx.item));
+      return "Draft created (fallback). Opening compose window...";
+    }
+  },
+
+  async setSubject(args, ctx) {
+    const subject = String(args.subject || "").trim();
+    if (!subject) throw new Error("no subject supplied");
+    if (typeof ctx.item?.subject?.setAsync !== "function") throw new Error("the subject can only be changed while composing");
+    await officeAsync((cb) => ctx.item.subject.setAsync(subject, cb));
+    return `Subject set to "${subject}".`;
+  },
+
+  async addRecipients(args, ctx) {
+    const field = String(args.field || "").toLowerCase();
+    if (!RECIPIENT_FIELDS.includes(field)) throw new Error(`unknown recipient field "${args.field}"`);
+    const list = (Array.isArray(args.recipients) ? args.recipients : [])
+      .map((r) => (typeof r === "string" ? { emailAddress: r } : r))
+      .filter((r) => r && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(r.emailAddress || "").trim()))
+      .map((r) => ({ emailAddress: String(r.emailAddress).trim(), displayName: String(r.displayName || r.emailAddress).trim() }));
+    if (list.length === 0) throw new Error("no valid email addresses supplied");
+    if (typeof ctx.item?.[field]?.addAsync !== "function") throw new Error("recipients can only be changed while composing");
+    await officeAsync((cb) => ctx.item[field].addAsync(list, cb));
+    return `Added ${list.map((r) => r.displayName).join(", ")} to ${field.toUpperCase()}.`;
+  },
+
+  async addAttachmentNote(args, ctx) {
+    const note = String(args.note || "").trim();
+    if (!note) throw new Error("no note supplied");
+    if (typeof ctx.item?.body?.prependAsync !== "function") throw new Error("notes can only be added while composing");
+    const p = document.createElement("p");
+    p.textContent = note;
+    await officeAsync((cb) => ctx.item.body.prependAsync(p.outerHTML, { coercionType: Office.CoercionType.Html }, cb));
+    draft = (await getCurrentComposeHtml()) || draft;
+    return "Note added to the top of the draft.";
+  }
+};
+
+/**
+ * Run the model's function calls against the current item.
+ * The whole turn is recorded as one version so one Undo reverts it.
+ * Returns one result per executed call, or null when no call names a known tool.
+ * @param {Array<{name:string, args:any}>} calls
+ * @param {Office.Item} item
+ * @returns {Promise<Array<{name:string, args:Object, ok:boolean, message:string}>|null>}
+ */
+async function runToolCalls(calls, item) {
+  const known = (calls || []).filter((c) => c && Object.prototype.hasOwnProperty.call(TOOL_HANDLERS, c.name));
+  if (known.length === 0) return null;
+  await composeBackupStore.saveBackup();
+  const results = [];
+  for (const call of known) {
+    const args = call.args && typeof call.args === "object" ? call.args : {};
+    try {
+      results.push({ name: call.name, args, ok: true, message: await TOOL_HANDLERS[call.name](args, { item }) });
+    } catch (e) {
+      log(`Tool ${call.name} failed: ${e && e.message}`);
+      results.push({ name: call.name, args, ok: false, message: `Could not run ${call.name}: ${e && e.message}.` });
+    }
+  }
+  if (results.some((r) => r.ok)) {
+    await composeBackupStore.recordVersion();
+    showUndoToast();
+  }
+  return results;
+}
+
 /* ============================
    Fetch helpers
    ============================ */
@@ -359,6 +2027,7 @@ function isRetriableStatus(status) {
 
 /**
  * Try to parse JSON embedded in text (fenced or raw) and handle wrapped tool_code/print(...) cases.
+ * Last resort only: setDraftBody is declared as a function tool, so well-behaved models return a functionCall.
  * Returns parsed object or null.
  * @param {string} text
  * @returns {any|null}
@@ -535,7 +2204,17 @@ function extractHtmlFromToolCode(wrapper) {
    ============================ */
 
 /**
- * Normalize provider response into {text?, functionCall?}.
+ * Parse function-call arguments that providers may send as a JSON string.
+ * @param {any} args
+ * @returns {any}
+ */
+function parseFunctionArgs(args) {
+  if (typeof args !== "string") return args;
+  try { return JSON.parse(args); } catch (e) { log("normalizeModelResult: parse failed"); return args; }
+}
+
+/**
+ * Normalize provider response into {text?, functionCall?, functionCalls?}.
  * Accepts candidate.content.parts, choice.message, groundingMetadata.searchEntryPoint.renderedContent.
  * @param {any} result
  * @returns {NormalizedResult|null}
@@ -543,15 +2222,13 @@ function extractHtmlFromToolCode(wrapper) {
 function normalizeModelResult(result) {
   const candidate = result?.candidates?.[0];
   if (candidate) {
-    if (candidate.functionCall) {
-      let args = candidate.functionCall.arguments || candidate.functionCall.args || candidate.functionCall.argumentsJson;
-      if (typeof args === "string") {
-        try { args = JSON.parse(args); } catch (e) { log("normalizeModelResult: parse failed"); }
-      }
-      return { functionCall: { name: candidate.functionCall.name, args } };
-    }
+    // Gemini returns declared function calls as a content part rather than on the candidate.
+    const parts = Array.isArray(candidate.content?.parts) ? candidate.content.parts : [];
+    const calls = (candidate.functionCall ? [candidate.functionCall] : parts.filter((p) => p && p.functionCall).map((p) => p.functionCall))
+      .map((fc) => ({ name: fc.name, args: parseFunctionArgs(fc.arguments || fc.args || fc.argumentsJson) }));
+    if (calls.length) return { functionCall: calls[0], functionCalls: calls };
 
-    let partText = candidate.content?.parts?.[0]?.text || candidate.content?.parts?.[0]?.content;
+    let partText = parts.map((p) => (p && (p.text || p.content)) || "").join("") || undefined;
     if (!partText) {
       partText = candidate.groundingMetadata?.searchEntryPoint?.renderedContent;
     }
@@ -564,185 +2241,2400 @@ function normalizeModelResult(result) {
 
   const choice = result?.choices?.[0];
   if (choice) {
-    const func = choice.message?.function_call || choice.function_call;
-    if (func) {
-      let args = func.arguments || func.argumentsJson || func.args;
-      if (typeof args === "string") {
-        try { args = JSON.parse(args); } catch (e) { log("normalizeModelResult: parse failed"); }
-      }
-      return { functionCall: { name: func.name, args } };
+    const toolCalls = Array.isArray(choice.message?.tool_calls) ? choice.message.tool_calls.map((t) => t && t.function).filter(Boolean) : [];
+    const funcs = toolCalls.length ? toolCalls : [choice.message?.function_call || choice.function_call].filter(Boolean);
+    if (funcs.length) {
+      const calls = funcs.map((func) => ({ name: func.name, args: parseFunctionArgs(func.arguments || func.argumentsJson || func.args) }));
+      return { functionCall: calls[0], functionCalls: calls };
     }
-    const text = choice.message?.content?.text || choice.text;
+    const content = choice.message?.content;
+    const text = typeof content === "string" ? content : content?.text || choice.text;
     if (typeof text === "string") {
       const parsed = tryParseJsonFromText(text);
       if (parsed && parsed.function) return { functionCall: { name: parsed.function, args: parsed.args || {} } };
       return { text };
     }
-  }
+  }
+
+  if (typeof result?.text === "string") {
+    const parsed = tryParseJsonFromText(result.text);
+    if (parsed && parsed.function) return { functionCall: { name: parsed.function, args: parsed.args || {} } };
+    return { text: result.text };
+  }
+
+  return null;
+}
+
+/* ============================
+   Provider adapters
+   ============================ */
+
+/**
+ * Endpoint for requests that go through the server-side proxy.
+ * The proxy picks the upstream (and its credentials) from the provider header.
+ * @param {string} provider
+ * @param {boolean} [stream]
+ * @returns {{url:string, headers:Object<string,string>}}
+ */
+function proxyEndpoint(provider, stream = false) {
+  const headers = { "Content-Type": "application/json", [PROVIDER_HEADER]: provider };
+  if (stream) headers[STREAM_HEADER] = "true";
+  return { url: getVar("proxy_gen_endpoint") || DEFAULT_PROXY_ENDPOINT, headers };
+}
+
+/**
+ * Turn a Gemini generateContent URL into its SSE streamGenerateContent equivalent.
+ * @param {string} url
+ * @returns {string}
+ */
+function toGeminiStreamUrl(url) {
+  return String(url).replace(":generateContent?", ":streamGenerateContent?alt=sse&");
+}
+
+/**
+ * Fold one OpenAI-compatible stream event (delta or Ollama message chunk) into acc.
+ * Tool-call fragments are buffered until the stream ends.
+ * @param {Object} acc
+ * @param {any} event
+ * @returns {string}
+ */
+function accumulateChatStream(acc, event) {
+  acc.text = acc.text || "";
+  acc.tools = acc.tools || [];
+  const delta = event?.choices?.[0]?.delta || event?.message || {};
+  for (const tc of delta.tool_calls || []) {
+    const idx = typeof tc.index === "number" ? tc.index : acc.tools.length;
+    if (!acc.tools[idx]) acc.tools[idx] = { id: tc.id, type: "function", function: { name: "", arguments: "" } };
+    const slot = acc.tools[idx].function;
+    if (tc.function?.name) slot.name += tc.function.name;
+    if (typeof tc.function?.arguments === "string") slot.arguments += tc.function.arguments;
+    else if (tc.function?.arguments) slot.arguments = tc.function.arguments;
+  }
+  const text = typeof delta.content === "string" ? delta.content : "";
+  // OpenAI and Azure send usage in a final chunk (stream_options.include_usage); Ollama on its done chunk.
+  if (event?.usage) acc.usage = event.usage;
+  if (event?.done && event.eval_count != null) acc.usage = { prompt_tokens: event.prompt_eval_count, completion_tokens: event.eval_count };
+  if (event?.model) acc.model = event.model;
+  acc.text += text;
+  return text;
+}
+
+/**
+ * Raw chat completion equivalent of an accumulated OpenAI-compatible stream.
+ * @param {Object} acc
+ * @returns {Object}
+ */
+function chatStreamResult(acc) {
+  const message = { content: acc.text || "" };
+  const tools = (acc.tools || []).filter(Boolean);
+  if (tools.length) message.tool_calls = tools;
+  return { choices: [{ message }], usage: acc.usage, model: acc.model };
+}
+
+/**
+ * Map tool declarations into the OpenAI-compatible tools / tool_choice fields.
+ * @param {ProviderRequest} req
+ * @param {boolean} [withChoice=true] Ollama does not accept tool_choice.
+ * @returns {Object}
+ */
+function buildChatTools(req, withChoice = true) {
+  if (!req.functions || req.functions.length === 0) return {};
+  const out = { tools: req.functions.map((f) => ({ type: "function", function: { name: f.name, description: f.description, parameters: f.parameters } })) };
+  if (withChoice) out.tool_choice = req.forceFunction ? { type: "function", function: { name: req.forceFunction } } : "auto";
+  return out;
+}
+
+/**
+ * Map a response schema into the OpenAI-compatible response_format field.
+ * @param {ProviderRequest} req
+ * @returns {Object}
+ */
+function buildChatResponseFormat(req) {
+  if (!req.responseSchema) return {};
+  return { response_format: { type: "json_schema", json_schema: { name: "response", schema: req.responseSchema } } };
+}
+
+/**
+ * Build Gemini contents from the history plus the current query.
+ * Consecutive turns with the same role are merged because Gemini expects user/model alternation.
+ * @param {ProviderRequest} req
+ * @returns {Array<ChatTurn>}
+ */
+function buildGeminiContents(req) {
+  const turns = [...(req.history || []), { role: "user", parts: [{ text: String(req.userQuery || "") }] }];
+  const contents = [];
+  for (const t of turns) {
+    const last = contents[contents.length - 1];
+    if (last && last.role === t.role) last.parts = last.parts.concat(t.parts);
+    else contents.push({ role: t.role, parts: t.parts.slice() });
+  }
+  return contents;
+}
+
+/**
+ * Build OpenAI-style chat messages from a provider request, including history.
+ * Function calls become assistant tool_calls and function responses become tool messages.
+ * @param {ProviderRequest} req
+ * @returns {Array<Object>}
+ */
+function buildChatMessages(req) {
+  const messages = [];
+  if (req.systemInstruction) messages.push({ role: "system", content: String(req.systemInstruction) });
+  const pending = [];
+  let callSeq = 0;
+  for (const turn of req.history || []) {
+    const text = turn.parts.filter((p) => typeof p.text === "string").map((p) => p.text).join("");
+    const calls = turn.parts.filter((p) => p.functionCall);
+    const responses = turn.parts.filter((p) => p.functionResponse);
+    if (turn.role === "model") {
+      if (calls.length) {
+        const toolCalls = calls.map((p) => {
+          const id = `call_${++callSeq}`;
+          pending.push({ id, name: p.functionCall.name });
+          return { id, type: "function", function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args || {}) } };
+        });
+        messages.push({ role: "assistant", content: text || null, tool_calls: toolCalls });
+      } else if (text) messages.push({ role: "assistant", content: text });
+      continue;
+    }
+    for (const p of responses) {
+      const idx = pending.findIndex((c) => c.name === p.functionResponse.name);
+      const call = idx >= 0 ? pending.splice(idx, 1)[0] : null;
+      if (call) messages.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(p.functionResponse.response || {}) });
+    }
+    if (text) messages.push({ role: "user", content: text });
+  }
+  messages.push({ role: "user", content: String(req.userQuery || "") });
+  return messages;
+}
+
+/**
+ * Registered provider adapters, selected by the `provider` key in config.json.
+ * @type {Object<string, ProviderAdapter>}
+ */
+const PROVIDER_ADAPTERS = {
+  gemini: {
+    label: "Gemini",
+    resolveEndpoint({ stream = false } = {}) {
+      const apiKey = getVar("google_api_key");
+      const endpointUrl = getVar("endpoint_url") || "";
+      if (endpointUrl && apiKey) {
+        const url = `${endpointUrl}${apiKey}`;
+        return { url: stream ? toGeminiStreamUrl(url) : url, headers: { "Content-Type": "application/json" } };
+      }
+      return proxyEndpoint("gemini", stream);
+    },
+    modelName() {
+      return String(getVar("endpoint_url") || "").match(/models\/([^:/?]+)/)?.[1] || "gemini-2.5-flash";
+    },
+    buildPayload(req) {
+      const hasFunctions = Array.isArray(req.functions) && req.functions.length > 0;
+      // Gemini cannot combine search grounding with function calling or JSON mode, so either turns search off.
+      const toolFields = req.responseSchema
+        ? { generationConfig: { responseMimeType: "application/json", responseSchema: req.responseSchema } }
+        : hasFunctions
+        ? {
+          tools: [{ functionDeclarations: req.functions }],
+          toolConfig: {
+            functionCallingConfig: req.forceFunction ? { mode: "ANY", allowedFunctionNames: [req.forceFunction] } : { mode: "AUTO" }
+          }
+        }
+        : { tools: [{ google_search: {} }] };
+      return {
+        contents: buildGeminiContents(req),
+        ...toolFields,
+        systemInstruction: { parts: [{ text: String(req.systemInstruction || "") }] },
+        ...(req.apiParams || {})
+      };
+    },
+    parseResponse(result) {
+      return normalizeModelResult(result);
+    },
+    accumulateStream(acc, event) {
+      // Text arrives as deltas; function calls arrive as complete parts and are kept whole.
+      acc.text = acc.text || "";
+      acc.parts = acc.parts || [];
+      let text = "";
+      for (const p of event?.candidates?.[0]?.content?.parts || []) {
+        if (typeof p.text === "string" && !p.thought) text += p.text;
+        else if (p.functionCall) acc.parts.push(p);
+      }
+      // Every chunk carries the running usageMetadata; the last one is the total.
+      if (event?.usageMetadata) acc.usage = event.usageMetadata;
+      if (event?.modelVersion) acc.model = event.modelVersion;
+      acc.text += text;
+      return text;
+    },
+    streamResult(acc) {
+      const parts = acc.text ? [{ text: acc.text }] : [];
+      return { candidates: [{ content: { parts: parts.concat(acc.parts || []) } }], usageMetadata: acc.usage, modelVersion: acc.model };
+    }
+  },
+
+  openai: {
+    label: "OpenAI",
+    // The key, upstream URL and model live on the proxy (OPENAI_API_KEY / OPENAI_ENDPOINT_URL / OPENAI_MODEL).
+    resolveEndpoint({ stream = false } = {}) {
+      return proxyEndpoint("openai", stream);
+    },
+    modelName() {
+      return getVar("openai_model") || "gpt-4o-mini";
+    },
+    buildPayload(req) {
+      const stream = req.stream ? { stream: true, stream_options: { include_usage: true } } : {};
+      return { model: this.modelName(), messages: buildChatMessages(req), ...buildChatTools(req), ...buildChatResponseFormat(req), ...stream, ...(req.apiParams || {}) };
+    },
+    parseResponse(result) {
+      return normalizeModelResult(result);
+    },
+    accumulateStream: accumulateChatStream,
+    streamResult: chatStreamResult
+  },
+
+  azure: {
+    label: "Azure OpenAI",
+    // The key and deployment URL live on the proxy (AZURE_OPENAI_API_KEY / AZURE_OPENAI_ENDPOINT_URL).
+    resolveEndpoint({ stream = false } = {}) {
+      return proxyEndpoint("azure", stream);
+    },
+    modelName() {
+      return getVar("azure_deployment") || "";
+    },
+    buildPayload(req) {
+      const stream = req.stream ? { stream: true, stream_options: { include_usage: true } } : {};
+      return { messages: buildChatMessages(req), ...buildChatTools(req), ...buildChatResponseFormat(req), ...stream, ...(req.apiParams || {}) };
+    },
+    parseResponse(result) {
+      return normalizeModelResult(result);
+    },
+    accumulateStream: accumulateChatStream,
+    streamResult: chatStreamResult
+  },
+
+  ollama: {
+    label: "Ollama",
+    // The Ollama address lives on the proxy (OLLAMA_ENDPOINT_URL).
+    resolveEndpoint({ stream = false } = {}) {
+      return proxyEndpoint("ollama", stream);
+    },
+    modelName() {
+      return getVar("ollama_model") || "llama3.1";
+    },
+    buildPayload(req) {
+      return {
+        model: this.modelName(),
+        messages: buildChatMessages(req),
+        ...buildChatTools(req, false),
+        ...(req.responseSchema ? { format: req.responseSchema } : {}),
+        stream: req.stream === true,
+        ...(req.apiParams || {})
+      };
+    },
+    parseResponse(result) {
+      // Ollama returns a single message rather than a choices array.
+      if (result?.message) return normalizeModelResult({ choices: [{ message: result.message }] });
+      return normalizeModelResult(result);
+    },
+    // Ollama streams newline-delimited JSON message chunks.
+    accumulateStream: accumulateChatStream,
+    streamResult: chatStreamResult
+  }
+};
+
+/**
+ * Return the adapter for the configured provider; unknown names fall back to Gemini.
+ * @param {string} [name]
+ * @returns {ProviderAdapter}
+ */
+function getProviderAdapter(name) {
+  const key = String(name || getVar("provider") || DEFAULT_PROVIDER).trim().toLowerCase();
+  const adapter = PROVIDER_ADAPTERS[key];
+  if (!adapter) {
+    log(`Unknown provider "${key}", using ${DEFAULT_PROVIDER}.`);
+    return PROVIDER_ADAPTERS[DEFAULT_PROVIDER];
+  }
+  return adapter;
+}
+
+/* ============================
+   PII redaction (reversible placeholders)
+   ============================ */
+
+/** Built-in redaction rules, applied in this order (cards/IBANs before phone numbers). */
+const DEFAULT_REDACTION_PATTERNS = [
+  { name: "EMAIL", pattern: "[A-Z0-9._%+-]+@[A-Z0-9.-]+\\.[A-Z]{2,}", flags: "i" },
+  { name: "IBAN", pattern: "\\b[A-Z]{2}\\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\\b" },
+  { name: "CARD", pattern: "\\b(?:\\d[ -]?){12,18}\\d\\b", luhn: true },
+  // Only phone shapes: +country code, a bracketed area code, 555-123-4567 or a 0-prefixed trunk number.
+  // A bare run of digits (dates, times, versions, order numbers) is left alone.
+  {
+    name: "PHONE",
+    pattern: "(?<![\\w\\]])(?:\\+\\d{1,3}[ .-]?(?:\\(\\d{1,4}\\)[ .-]?)?\\d{1,4}(?:[ .-]?\\d{2,4}){1,4}|\\(\\d{2,5}\\)[ .-]?\\d{3,4}(?:[ .-]?\\d{3,4}){1,2}|\\b\\d{3}[.-]\\d{3}[.-]\\d{4}|\\b0\\d{2,4}[ -]\\d{3,4}[ -]?\\d{3,4})(?![\\w.-]\\d)(?!\\w)",
+    minDigits: 9
+  }
+];
+
+/**
+ * Session vault mapping original values to placeholders and back. Placeholders stay stable across
+ * requests so conversation history and earlier drafts keep restoring correctly.
+ */
+const redactionVault = { byValue: new Map(), byToken: new Map(), counters: {} };
+
+/**
+ * Luhn checksum for card-number candidates of 13 to 19 digits (also used by the send-time checks).
+ * @param {string} value
+ * @returns {boolean}
+ */
+function luhnValid(value) {
+  const digits = String(value).replace(/\D/g, "");
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Active redaction rules: defaults merged with config `redaction_patterns` (same name overrides, new names append).
+ * @returns {Array<RedactionPattern>}
+ */
+function getRedactionPatterns() {
+  const configured = configMap.get("redaction_patterns");
+  const merged = DEFAULT_REDACTION_PATTERNS.map((p) => ({ ...p }));
+  for (const c of Array.isArray(configured) ? configured : []) {
+    if (!c || !c.name) continue;
+    const i = merged.findIndex((p) => p.name === c.name);
+    if (i >= 0) merged[i] = { ...merged[i], ...c }; else if (c.pattern) merged.push({ ...c });
+  }
+  return merged.filter((p) => p.enabled !== false);
+}
+
+/**
+ * Whether redaction is on (config `redaction_enabled`, default on).
+ * @returns {boolean}
+ */
+function isRedactionEnabled() {
+  return getVar("redaction_enabled") !== false;
+}
+
+/**
+ * Replace sensitive values in text with placeholders such as [[EMAIL_1]].
+ * @param {string} text
+ * @returns {string}
+ */
+function redactText(text) {
+  if (typeof text !== "string" || !text || !isRedactionEnabled()) return text;
+  let out = text;
+  for (const p of getRedactionPatterns()) {
+    let re;
+    try { re = new RegExp(p.pattern, `${String(p.flags || "").replace("g", "")}g`); } catch (e) { log(`Invalid redaction pattern ${p.name}`); continue; }
+    out = out.replace(re, (match) => {
+      if (p.luhn && !luhnValid(match)) return match;
+      if (p.minDigits && match.replace(/\D/g, "").length < p.minDigits) return match;
+      let token = redactionVault.byValue.get(match);
+      if (!token) {
+        redactionVault.counters[p.name] = (redactionVault.counters[p.name] || 0) + 1;
+        token = `[[${p.name}_${redactionVault.counters[p.name]}]]`;
+        redactionVault.byValue.set(match, token);
+        redactionVault.byToken.set(token, match);
+      }
+      return token;
+    });
+  }
+  return out;
+}
+
+/**
+ * Put original values back in place of placeholders.
+ * @param {string} text
+ * @returns {string}
+ */
+function restoreText(text) {
+  if (typeof text !== "string" || redactionVault.byToken.size === 0) return text;
+  return text.replace(/\[\[[A-Z0-9_]+_\d+\]\]/g, (token) => redactionVault.byToken.get(token) ?? token);
+}
+
+/**
+ * Apply a string transform to every string inside a value (arrays and plain objects are copied).
+ * @param {any} value
+ * @param {function(string): string} fn
+ * @returns {any}
+ */
+function mapStringsDeep(value, fn) {
+  if (typeof value === "string") return fn(value);
+  if (Array.isArray(value)) return value.map((v) => mapStringsDeep(v, fn));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = mapStringsDeep(v, fn);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Show how many distinct values have been redacted this session.
+ */
+function updateRedactionIndicator() {
+  const el = document.getElementById("redactionIndicator");
+  if (!el) return;
+  const n = redactionVault.byToken.size;
+  el.textContent = `${n} item${n === 1 ? "" : "s"} redacted`;
+  el.title = Object.entries(redactionVault.counters).map(([k, v]) => `${k}: ${v}`).join(", ");
+  el.classList.toggle("hidden", n === 0);
+}
+
+/* ============================
+   Token usage and cost
+   ============================ */
+
+/**
+ * Token counts reported by the provider, in the shape each one uses
+ * (Gemini usageMetadata, OpenAI/Azure usage, Ollama prompt_eval_count/eval_count).
+ * @param {any} result Raw provider response.
+ * @returns {{promptTokens:number, responseTokens:number}|null}
+ */
+function extractUsage(result) {
+  const g = result?.usageMetadata;
+  if (g) return { promptTokens: Number(g.promptTokenCount) || 0, responseTokens: (Number(g.candidatesTokenCount) || 0) + (Number(g.thoughtsTokenCount) || 0) };
+  const u = result?.usage;
+  if (u) return { promptTokens: Number(u.prompt_tokens ?? u.input_tokens) || 0, responseTokens: Number(u.completion_tokens ?? u.output_tokens) || 0 };
+  if (result?.prompt_eval_count != null || result?.eval_count != null) return { promptTokens: Number(result.prompt_eval_count) || 0, responseTokens: Number(result.eval_count) || 0 };
+  return null;
+}
+
+/**
+ * Price entry for a model from `model_prices` (per million tokens): an exact key, else the
+ * longest key the model name starts with, so "gpt-4o-mini-2024-07-18" uses "gpt-4o-mini".
+ * @param {string} model
+ * @returns {{input:number, output:number}|null}
+ */
+function findModelPrice(model) {
+  const prices = configMap.get("model_prices");
+  if (!prices || typeof prices !== "object" || !model) return null;
+  const name = String(model).replace(/^models\//, "");
+  const key = name in prices ? name : Object.keys(prices).filter((k) => name.startsWith(k)).sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+/**
+ * Running token and cost totals for the session and for each email, kept in sessionStorage
+ * so they survive the pane reloading between emails.
+ */
+const usageStore = {
+  /** @returns {{session: UsageTotals, items: Object<string, UsageTotals>}} */
+  read() {
+    try {
+      const raw = typeof window !== "undefined" ? window.sessionStorage?.getItem(USAGE_STORAGE_KEY) : null;
+      const parsed = raw ? JSON.parse(raw) : null;
+      if (parsed && parsed.session && parsed.items) return parsed;
+    } catch (e) { log("usageStore: unreadable session usage, starting again"); }
+    return { session: emptyUsageTotals(), items: {} };
+  },
+  write(state) {
+    const keys = Object.keys(state.items);
+    for (const k of keys.slice(0, Math.max(0, keys.length - USAGE_MAX_ITEMS))) delete state.items[k];
+    try { if (typeof window !== "undefined") window.sessionStorage?.setItem(USAGE_STORAGE_KEY, JSON.stringify(state)); } catch (e) { log("usageStore: write failed: " + (e && e.message)); }
+    this.cached = state;
+  },
+  /** @type {{session: UsageTotals, items: Object<string, UsageTotals>}|null} */
+  cached: null,
+  state() {
+    if (!this.cached) this.cached = this.read();
+    return this.cached;
+  },
+  /** @returns {number} Tokens used so far this session. */
+  sessionTokens() {
+    const s = this.state().session;
+    return s.promptTokens + s.responseTokens;
+  },
+  /**
+   * Add one call's usage to the session and the current email.
+   * @param {{promptTokens:number, responseTokens:number, estimated:boolean=, model:string}} usage
+   * @param {string} itemKey
+   */
+  record(usage, itemKey) {
+    const price = findModelPrice(usage.model);
+    const cost = price ? (usage.promptTokens * Number(price.input || 0) + usage.responseTokens * Number(price.output || 0)) / 1e6 : null;
+    const state = this.state();
+    for (const totals of [state.session, (state.items[itemKey] = state.items[itemKey] || emptyUsageTotals())]) {
+      totals.calls += 1;
+      totals.promptTokens += usage.promptTokens;
+      totals.responseTokens += usage.responseTokens;
+      if (cost != null) totals.cost = (totals.cost || 0) + cost;
+      if (usage.estimated) totals.estimated = true;
+    }
+    this.write(state);
+    log(`Usage: ${usage.model} ${usage.promptTokens} in / ${usage.responseTokens} out${usage.estimated ? " (estimated)" : ""}${cost != null ? `, cost ${cost.toFixed(6)}` : ""}`);
+    if (IS_TASK_PANE) renderUsageReadout();
+  }
+};
+
+/**
+ * Zeroed usage totals.
+ * @returns {UsageTotals}
+ */
+function emptyUsageTotals() {
+  return { calls: 0, promptTokens: 0, responseTokens: 0, cost: null, estimated: false };
+}
+
+/**
+ * Check a request against `session_token_budget` before it is sent. Over budget, the request is
+ * refused, or with `session_budget_action: "truncate"` the oldest history turns and then the
+ * end of the context are dropped until it fits. The query itself is only cut when it does not
+ * fit on its own, so the user's request survives truncation.
+ * @param {string} userQuery
+ * @param {string} systemInstruction
+ * @param {Array<ChatTurn>|undefined} history
+ * @param {string} [context] Draft and email text sent ahead of the query.
+ * @returns {{userQuery:string, history:(Array<ChatTurn>|undefined)}} userQuery is the context and query joined.
+ * @throws {Error} name "BudgetError" when the request cannot be sent within the budget.
+ */
+function applySessionBudget(userQuery, systemInstruction, history, context = "") {
+  const limit = Number(getVar("session_token_budget")) || 0;
+  if (limit <= 0) return { userQuery: context + userQuery, history };
+  const budgetError = (message) => Object.assign(new Error(message), { name: "BudgetError" });
+  const remaining = limit - usageStore.sessionTokens();
+  if (remaining <= 0) throw budgetError(`The session token budget (${limit.toLocaleString()} tokens) is used up.`);
+  const fixed = estimateTokens(systemInstruction) + RESPONSE_TOKEN_RESERVE;
+  const requestTokens = estimateTokens(context) + estimateTokens(userQuery);
+  const needed = fixed + requestTokens + (history ? history.reduce((n, t) => n + estimateTokens(t.parts), 0) : 0);
+  if (needed <= remaining) return { userQuery: context + userQuery, history };
+  if (getVar("session_budget_action") !== "truncate") {
+    throw budgetError(`This request needs about ${needed.toLocaleString()} tokens but only ${remaining.toLocaleString()} remain in the session budget.`);
+  }
+  const queryRoom = remaining - fixed;
+  if (queryRoom < MIN_TRUNCATED_QUERY_TOKENS) throw budgetError(`Only ${remaining.toLocaleString()} tokens remain in the session budget.`);
+  log(`Request truncated to fit the session budget (${remaining} tokens left)`);
+  if (requestTokens <= queryRoom) {
+    return { userQuery: context + userQuery, history: history ? trimConversation(history, queryRoom - requestTokens) : history };
+  }
+  // The note counts against the room too, or it would push the request back over.
+  const room = queryRoom - estimateTokens(BUDGET_TRUNCATION_NOTE);
+  const queryTokens = estimateTokens(userQuery);
+  const truncated = queryTokens > room
+    ? `${userQuery.slice(0, room * 4)}${BUDGET_TRUNCATION_NOTE}`
+    : `${context.slice(0, (room - queryTokens) * 4)}${BUDGET_TRUNCATION_NOTE}${userQuery}`;
+  return { userQuery: truncated, history: history ? [] : history };
+}
+
+/**
+ * Show token use and estimated cost for the current email and the session.
+ */
+function renderUsageReadout() {
+  const el = document.getElementById("usageReadout");
+  if (!el) return;
+  const state = usageStore.state();
+  const item = state.items[getCurrentItemKey()];
+  if (!state.session.calls) { el.classList.add("hidden"); return; }
+  const n = (v) => Number(v).toLocaleString();
+  const currency = getVar("price_currency") || "USD";
+  const describe = (t) => `${t.estimated ? "≈ " : ""}${n(t.promptTokens + t.responseTokens)} tokens` +
+    (t.cost != null ? ` (${currency} ${t.cost < 0.01 ? t.cost.toFixed(4) : t.cost.toFixed(2)})` : "");
+  const limit = Number(getVar("session_token_budget")) || 0;
+  const parts = [];
+  if (item) parts.push(`This email: ${describe(item)}, ${n(item.promptTokens)} in / ${n(item.responseTokens)} out`);
+  parts.push(`Session: ${describe(state.session)}${limit > 0 ? ` of ${n(limit)}` : ""}`);
+  el.textContent = parts.join(" · ");
+  el.title = `${n(state.session.calls)} model calls this session. Costs are estimates from config.json model_prices.`;
+  el.classList.remove("hidden");
+}
+
+/* ============================
+   Call Gemini / Generative API
+   ============================ */
+
+/**
+ * Read a streaming response body and hand each JSON event to onEvent.
+ * Understands both SSE ("data: {...}") and newline-delimited JSON.
+ * @param {Response} res
+ * @param {function(any): void} onEvent
+ * @param {AbortSignal} [signal] Cancels the reader between chunks.
+ * @returns {Promise<void>}
+ */
+async function readEventStream(res, onEvent, signal) {
+  const handleLine = (line) => {
+    let l = line.trim();
+    if (!l || l.startsWith(":") || l.startsWith("event:") || l.startsWith("id:")) return;
+    if (l.startsWith("data:")) l = l.slice(5).trim();
+    if (!l || l === "[DONE]") return;
+    try { onEvent(JSON.parse(l)); } catch (e) { log("readEventStream: skipped unparsable line"); }
+  };
+  if (!res.body || typeof res.body.getReader !== "function") {
+    String(await res.text()).split(/\r?\n/).forEach(handleLine);
+    return;
+  }
+  const reader = res.body.getReader();
+  const decoder = new window.TextDecoder();
+  let buffer = "";
+  for (;;) {
+    if (signal?.aborted) {
+      reader.cancel().catch(() => {});
+      throw Object.assign(new Error("Stream aborted."), { name: "AbortError" });
+    }
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  buffer += decoder.decode();
+  if (buffer) handleLine(buffer);
+}
+
+/**
+ * Call the configured provider (directly or via the proxy).
+ * The name is historical: Gemini is now one adapter among several.
+ * opts.allowFunctions declares TOOL_DECLARATIONS; opts.forceFunction requires the named tool;
+ * opts.history carries earlier ChatTurns for multi-turn chat; opts.responseSchema requests JSON output.
+ * opts.onToken(delta, fullText) switches to the provider's streaming endpoint; text is reported as it
+ * arrives while function calls are buffered and only returned once the stream is complete.
+ * opts.signal (AbortSignal) stops the request; a stopped request is not retried.
+ * opts.context is draft and email text sent ahead of userQuery; a session budget truncates it before the query.
+ * @param {string} userQuery
+ * @param {string} system_instruction
+ * @param {Object} [opts]
+ * @returns {Promise<NormalizedResult>}
+ */
+async function callGeminiAPI(userQuery, system_instruction, opts = {}) {
+  const adapter = getProviderAdapter(opts.provider);
+  const streaming = typeof opts.onToken === "function";
+  const { url: apiUrl, headers } = adapter.resolveEndpoint({ stream: streaming });
+  // Budget stage: refuses (BudgetError) or truncates before anything is sent.
+  const budgeted = applySessionBudget(String(userQuery || ""), String(system_instruction || ""), Array.isArray(opts.history) ? opts.history : undefined, String(opts.context || ""));
+  // Redaction stage: placeholders go out, the result is restored before any caller sees it.
+  const payload = adapter.buildPayload({
+    userQuery: redactText(budgeted.userQuery),
+    systemInstruction: String(system_instruction || ""),
+    history: budgeted.history ? mapStringsDeep(budgeted.history, redactText) : undefined,
+    functions: opts.allowFunctions ? TOOL_DECLARATIONS : undefined,
+    forceFunction: opts.allowFunctions ? opts.forceFunction : undefined,
+    responseSchema: opts.responseSchema,
+    stream: streaming,
+    apiParams: opts.apiParams
+  });
+  if (typeof document !== "undefined") updateRedactionIndicator();
+
+  const maxAttempts = Number(opts.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+  const baseDelay = Number(opts.baseDelayMs || 1000);
+  const timeoutMs = Number(opts.timeoutMs || REQUEST_TIMEOUT_MS);
+  const stopped = () => Object.assign(new Error("Request stopped by user."), { name: "AbortError", stopped: true });
+
+  let attempt = 0;
+  while (attempt < maxAttempts) {
+    attempt++;
+    if (opts.signal?.aborted) throw stopped();
+    const AC = typeof window !== "undefined" && window.AbortController ? new window.AbortController() : null;
+    const signal = AC ? AC.signal : undefined;
+    const timerId = AC && typeof window !== "undefined" && window.setTimeout ? window.setTimeout(() => AC.abort(), timeoutMs) : null;
+    const onStop = () => AC && AC.abort();
+    if (opts.signal) opts.signal.addEventListener("abort", onStop);
+    let streamed = false;
+
+    try {
+      const res = await fetch(apiUrl, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(payload),
+        signal
+      });
+
+      if (typeof window !== "undefined" && window.clearTimeout && timerId) window.clearTimeout(timerId);
+      log(`Attempt ${attempt}: API status ${res.status}`);
+
+      if (isRetriableStatus(res.status)) {
+        if (attempt >= maxAttempts) {
+          const txt = await res.text().catch(() => "");
+          throw new Error(`API call failed ${res.status}: ${txt}`);
+        }
+        const delay = baseDelay * Math.pow(2, attempt - 1) + Math.random() * 500;
+        log(`Retriable status ${res.status}, backing off ${Math.round(delay)}ms`);
+        await new Promise(r => setTimeout(r, delay));
+        continue;
+      }
+
+      if (res.status >= 400 && res.status < 500 && !res.ok) {
+        const txt = await res.text().catch(() => "");
+        throw new Error(`API call failed ${res.status}: ${txt}`);
+      }
+
+      if (!res.ok) {
+        const txt = await res.text().catch(() => "");
+        throw new Error(`API call failed ${res.status}: ${txt}`);
+      }
+
+      let result;
+      if (streaming) {
+        const acc = {};
+        let shown = "";
+        await readEventStream(res, (event) => {
+          const delta = adapter.accumulateStream(acc, event);
+          if (!delta) return;
+          streamed = true;
+          const full = restoreText(acc.text || "");
+          try { opts.onToken(full.slice(shown.length), full); } catch (e) { log("onToken handler failed: " + (e && e.message)); }
+          shown = full;
+        }, signal);
+        result = adapter.streamResult(acc);
+      } else {
+        result = await res.json();
+      }
+      try { log(`API raw response: ${JSON.stringify(result).slice(0, 2000)}`); } catch (e) { /* ignore stringify error */ }
+      const normalized = result && (result.text || result.functionCall) ? result : adapter.parseResponse(result);
+      if (!normalized) throw new Error("Invalid response format from API.");
+      const usage = extractUsage(result) || { promptTokens: estimateTokens(payload), responseTokens: estimateTokens(extractModelText(normalized)), estimated: true };
+      usageStore.record({ ...usage, model: result?.modelVersion || result?.model || adapter.modelName() }, getCurrentItemKey());
+      return mapStringsDeep(normalized, restoreText);
+    } catch (err) {
+      if (typeof window !== "undefined" && window.clearTimeout && timerId) window.clearTimeout(timerId);
+      if (opts.signal?.aborted) throw stopped();
+      if (err && err.name === "AbortError") {
+        log(`Request aborted (likely timeout). Attempt ${attempt} of ${maxAttempts}.`);
+      }
+      const m = err && err.message ? err.message : String(err);
+      log(`Attempt ${attempt}: error: ${m}`);
+      // Tokens already on screen cannot be taken back, so a broken stream is not retried.
+      if (streamed) throw new Error(`${adapter.label} stream interrupted: ${m}`);
+      if (attempt >= maxAttempts) throw new Error(`Failed to call ${adapter.label} API after ${maxAttempts} attempts: ${m}`);
+      const backoff = baseDelay * Math.pow(2, attempt - 1) + Math.random() * 500;
+      await new Promise(r => setTimeout(r, backoff));
+    } finally {
+      if (opts.signal) opts.signal.removeEventListener("abort", onStop);
+    }
+  }
+
+  throw new Error("callGeminiAPI exhausted retries.");
+}
+
+/* ============================
+   Legacy custom endpoint
+   ============================ */
+
+/**
+ * Call a legacy custom endpoint that returns preformatted analysis/draft.
+ * @param {any} userQuery
+ * @returns {Promise<any>}
+ */
+async function callCustomEndpoint(userQuery) {
+  const apiUrl = getVar("customendpoint_url");
+  if (!apiUrl) throw new Error("customendpoint_url not configured.");
+  const payload = { query: mapStringsDeep(userQuery, redactText) };
+  if (typeof document !== "undefined") updateRedactionIndicator();
+  let attempts = 0, maxAttempts = 5, baseDelay = 1000;
+  while (attempts < maxAttempts) {
+    try {
+      attempts++;
+      const res = await fetchWithTimeout(apiUrl, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(payload) }, REQUEST_TIMEOUT_MS);
+      log(`Attempt ${attempts}: custom endpoint ${res.status}`);
+      if (isRetriableStatus(res.status)) {
+        const delay = baseDelay * Math.pow(2, attempts - 1) + Math.random() * 1000;
+        await new Promise(r => setTimeout(r, delay));
+        continue;
+      }
+      if (!res.ok) {
+        const txt = await res.text();
+        throw new Error(`API call failed ${res.status}: ${txt}`);
+      }
+      const result = await res.json();
+      if (!result) throw new Error("Invalid response format from custom endpoint.");
+      return mapStringsDeep(result, restoreText);
+    } catch (err) {
+      log(`Attempt ${attempts}: custom endpoint error: ${err && err.message}`);
+      if (attempts >= maxAttempts) throw err;
+    }
+  }
+}
+
+/* ============================
+   Email analysis (single structured call)
+   ============================ */
+
+const TAXONOMY_FIELDS = ["sentiment", "urgency", "intention"];
+
+/**
+ * Built-in taxonomy, used for each field config.json `taxonomy` leaves out.
+ * @type {Object<string, TaxonomyField>}
+ */
+const DEFAULT_TAXONOMY = {
+  sentiment: {
+    description: "The overall tone and emotion of the email body.",
+    fallback: "Neutral",
+    labels: [
+      { label: "Positive", description: "Expresses happiness, satisfaction, gratitude or another positive emotion.", color: "#16a34a", priority: 1 },
+      { label: "Negative", description: "Expresses dissatisfaction, frustration, anger or another negative emotion.", color: "#ef4444", priority: 2 },
+      { label: "Neutral", description: "Factual or objective, without strong emotion. The default unless the email is clearly positive or negative.", color: "#94a3b8", priority: 3 }
+    ]
+  },
+  urgency: {
+    description: "How quickly the sender needs a response or action, or how bad the issue sounds.",
+    fallback: "Low",
+    labels: [
+      { label: "High", description: "Needs an immediate response or action: emergencies, critical issues, tight deadlines.", color: "#ef4444", priority: 1 },
+      { label: "Medium", description: "Needs a response within a reasonable time: upcoming deadlines, important but not critical issues.", color: "#f59e0b", priority: 2 },
+      { label: "Low", description: "No immediate need: general information, casual updates, non-urgent matters. The default unless the email shows a deadline or severe issue.", color: "#16a34a", priority: 3 }
+    ]
+  },
+  intention: {
+    description: "The main purpose of the email.",
+    fallback: "Other",
+    labels: [
+      { label: "IT Issue", description: "Reports a technical problem or asks for technical support.", color: "#7c3aed", priority: 1 },
+      { label: "HR Query", description: "Asks about human resources topics such as policies, benefits or employment.", color: "#db2777", priority: 2 },
+      { label: "Customer Request", description: "A customer asking for service, support or information about products or services.", color: "#0f64ff", priority: 3 },
+      { label: "Requesting Help", description: "Asks for assistance or support.", color: "#f59e0b", priority: 4 },
+      { label: "Providing Information", description: "Shares details, updates or news.", color: "#0891b2", priority: 5 },
+      { label: "Other", description: "Does not roughly fit any other label.", color: "#94a3b8", priority: 6 }
+    ]
+  }
+};
+
+/**
+ * Fill each field from the configured taxonomy or DEFAULT_TAXONOMY and sort labels by priority
+ * (list order breaks ties). A fallback that is not a label becomes "Unknown".
+ * @param {any} configured config.json `taxonomy`
+ * @returns {Object<string, TaxonomyField>}
+ */
+function normalizeTaxonomy(configured) {
+  const source = configured && typeof configured === "object" ? configured : {};
+  const out = {};
+  for (const field of TAXONOMY_FIELDS) {
+    const def = Array.isArray(source[field]?.labels) && source[field].labels.length ? source[field] : DEFAULT_TAXONOMY[field];
+    const labels = def.labels
+      .filter((l) => l && String(l.label ?? "").trim())
+      .map((l) => ({
+        label: String(l.label).trim(),
+        description: String(l.description || "").trim(),
+        color: typeof l.color === "string" && CSS_COLOR_PATTERN.test(l.color.trim()) ? l.color.trim() : "",
+        priority: Number.isInteger(l.priority) && l.priority > 0 ? l.priority : Number.MAX_SAFE_INTEGER
+      }))
+      .sort((a, b) => a.priority - b.priority);
+    const fallback = labels.find((l) => l.label.toLowerCase() === String(def.fallback ?? "").trim().toLowerCase());
+    out[field] = { description: String(def.description || "").trim(), fallback: fallback ? fallback.label : "Unknown", labels };
+  }
+  return out;
+}
+
+/** @returns {Object<string, TaxonomyField>} The taxonomy in effect. */
+function getTaxonomy() {
+  return normalizeTaxonomy(configMap.get("taxonomy"));
+}
+
+/**
+ * @param {string} field sentiment, urgency or intention.
+ * @param {string} value
+ * @returns {TaxonomyLabel|null}
+ */
+function getTaxonomyLabel(field, value) {
+  const v = String(value ?? "").toLowerCase();
+  return getTaxonomy()[field]?.labels.find((l) => l.label.toLowerCase() === v) || null;
+}
+
+/**
+ * Default instruction used when config.json has no analysisPrompt.
+ * @type {string}
+ */
+const DEFAULT_ANALYSIS_PROMPT =
+  "You are an expert email triage analyst. You will be provided with an email. " +
+  "Classify it and return a JSON object with the fields sentiment, urgency, intention, language, confidence and rationale. " +
+  "Use exactly one of the allowed labels for sentiment, urgency and intention. " +
+  "confidence is your overall confidence from 0 to 1. rationale is one short sentence explaining the labels. " +
+  "The sections below describe each field and its allowed labels.";
+
+/** Appended to every analysis instruction; the per-field prompts are English-only. */
+const ANALYSIS_LANGUAGE_RULE =
+  "Give the language the newest message is written in (ignore quoted history and signatures) as its English name, e.g. German. " +
+  "The email may be in any language; the labels above must still be given exactly as listed, in English.";
+
+/**
+ * JSON schema for the analysis response.
+ * @returns {Object}
+ */
+function buildAnalysisSchema() {
+  const actions = isActionExtractionEnabled();
+  const taxonomy = getTaxonomy();
+  const labelField = (field) => ({ type: "string", enum: taxonomy[field].labels.map((l) => l.label), ...(taxonomy[field].description ? { description: taxonomy[field].description } : {}) });
+  return {
+    type: "object",
+    properties: {
+      sentiment: labelField("sentiment"),
+      urgency: labelField("urgency"),
+      intention: labelField("intention"),
+      language: { type: "string", description: "Language of the email, as its English name (e.g. German)." },
+      confidence: { type: "number", description: "Overall confidence between 0 and 1." },
+      rationale: { type: "string", description: "One short sentence explaining the labels." },
+      ...(actions ? buildActionItemsSchema() : {})
+    },
+    required: ["sentiment", "urgency", "intention", "language", "confidence", "rationale", ...(actions ? ["tasks", "meetings"] : [])]
+  };
+}
+
+/**
+ * System instruction for the analysis call: analysisPrompt plus one section per field generated from
+ * the taxonomy. sentimentPrompt, urgencyPrompt and intentionPrompt, when set, add rules to their section.
+ * @returns {string}
+ */
+function buildAnalysisInstruction() {
+  const nl = String.fromCharCode(10);
+  const sections = [getVar("analysisPrompt") || DEFAULT_ANALYSIS_PROMPT];
+  const taxonomy = getTaxonomy();
+  for (const [field, key] of [["sentiment", "sentimentPrompt"], ["urgency", "urgencyPrompt"], ["intention", "intentionPrompt"]]) {
+    const { description, fallback, labels } = taxonomy[field];
+    const lines = [`${field.toUpperCase()}${description ? `: ${description}` : ""}`, "Allowed labels (if more than one fits, use the one listed first):"];
+    for (const l of labels) lines.push(`- "${l.label}"${l.description ? `: ${l.description}` : ""}`);
+    if (fallback !== "Unknown") lines.push(`If none fits, use "${fallback}".`);
+    const rules = getVar(key);
+    if (rules) lines.push(rules);
+    sections.push(lines.join(nl));
+  }
+  sections.push(`LANGUAGE${nl}${ANALYSIS_LANGUAGE_RULE}`);
+  if (isActionExtractionEnabled()) sections.push(`ACTIONS${nl}${getVar("actionsPrompt") || DEFAULT_ACTIONS_PROMPT}`);
+  return sections.join(nl + nl);
+}
+
+/**
+ * Match a model label against a taxonomy field (case-insensitive, ignores quotes and trailing punctuation).
+ * @param {any} value
+ * @param {TaxonomyField} field
+ * @returns {string} The canonical label; the field's fallback when it matches none; "Unknown" when empty.
+ */
+function matchLabel(value, field) {
+  const v = String(value ?? "").trim().replace(/^["']+|["'.!]+$/g, "").toLowerCase();
+  const match = field.labels.find((l) => l.label.toLowerCase() === v);
+  if (match) return match.label;
+  // "Unknown" is what validateAnalysis stores for a missing value, so a cached one stays missing.
+  if (!v || v === "unknown") return "Unknown";
+  log(`Unrecognised label "${value}", using "${field.fallback}"`);
+  return field.fallback;
+}
+
+/**
+ * Tidy a model-supplied language name ("german" -> "German"); anything that is not a short name is "Unknown".
+ * @param {any} value
+ * @returns {string}
+ */
+function normalizeLanguageName(value) {
+  const v = String(value ?? "").trim().replace(/^["']+|["'.]+$/g, "");
+  if (!v || v.length > 40 || !/^[\p{L} ()-]+$/u.test(v)) return "Unknown";
+  return v.replace(/(^|[\s(-])(\p{L})/gu, (m, sep, ch) => sep + ch.toUpperCase());
+}
+
+/**
+ * Validate a raw analysis object against the taxonomy.
+ * @param {any} raw
+ * @returns {EmailAnalysis}
+ */
+function validateAnalysis(raw) {
+  const obj = raw && typeof raw === "object" ? raw : {};
+  const c = Number(obj.confidence);
+  const taxonomy = getTaxonomy();
+  return {
+    sentiment: matchLabel(obj.sentiment, taxonomy.sentiment),
+    urgency: matchLabel(obj.urgency, taxonomy.urgency),
+    intention: matchLabel(obj.intention, taxonomy.intention),
+    language: normalizeLanguageName(obj.language),
+    confidence: obj.confidence === undefined || obj.confidence === null || Number.isNaN(c) ? null : Math.min(1, Math.max(0, c)),
+    rationale: String(obj.rationale || "").split(/\r?\n/)[0].trim().slice(0, 240),
+    tasks: validateActionTasks(obj.tasks),
+    meetings: validateProposedMeetings(obj.meetings)
+  };
+}
+
+/**
+ * Run the single structured analysis request for an email.
+ * @param {string} fromName
+ * @param {string} emailBody
+ * @param {string} [sentAt] From describeSentDate; lets the model resolve relative dates.
+ * @returns {Promise<EmailAnalysis>}
+ * @throws {Error} AnalysisParseError when the response is not a JSON object, so callers can keep it out of the cache.
+ */
+async function analyzeEmail(fromName, emailBody, sentAt) {
+  const prompt = `From: ${fromName}\n${sentAt ? `Sent: ${sentAt}\n` : ""}Body: ${emailBody}`;
+  const raw = await callGeminiAPI(prompt, buildAnalysisInstruction(), { timeoutMs: REQUEST_TIMEOUT_MS, responseSchema: buildAnalysisSchema() });
+  const text = extractModelText(raw);
+  let parsed = null;
+  try {
+    parsed = JSON.parse(String(text).replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, ""));
+  } catch (e) {
+    log("analyzeEmail: response was not valid JSON");
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw Object.assign(new Error("The analysis response was not a JSON object."), { name: "AnalysisParseError" });
+  }
+  const analysis = validateAnalysis(parsed);
+  log(`Analysis: ${JSON.stringify(analysis)}`);
+  return analysis;
+}
+
+/* ============================
+   Analysis cache (localStorage)
+   ============================ */
+
+/**
+ * Small non-cryptographic string hash (FNV-1a, hex).
+ * @param {string} str
+ * @returns {string}
+ */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, "0");
+}
+
+/**
+ * Fingerprint of everything that shapes an analysis result; a change invalidates cached entries.
+ * @returns {string}
+ */
+function getAnalysisFingerprint() {
+  const keys = ["analysisPrompt", "taxonomy", "sentimentPrompt", "urgencyPrompt", "intentionPrompt", "actionsPrompt", "actions_enabled", "customendpoint_url", "provider"];
+  return hashString(JSON.stringify(keys.map((k) => getVar(k) ?? "")) + JSON.stringify(buildAnalysisSchema()) + ANALYSIS_LANGUAGE_RULE + DEFAULT_ACTIONS_PROMPT);
+}
+
+/**
+ * Cache key for a message: itemId, else conversationId.
+ * @param {any} item
+ * @returns {string|null}
+ */
+function getAnalysisCacheKey(item) {
+  const id = item?.itemId || item?.conversationId;
+  return id ? String(id) : null;
+}
+
+/**
+ * Read a positive number from config, falling back to a default.
+ * @param {string} key
+ * @param {number} fallback
+ * @returns {number}
+ */
+function getPositiveNumberVar(key, fallback) {
+  const n = Number(getVar(key));
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Analysis cache persisted in localStorage with TTL, entry and size caps.
+ * Storage failures (private mode, quota) degrade to no caching.
+ */
+const analysisCacheStore = {
+  /** @returns {Object<string, AnalysisCacheEntry>} */
+  readAll() {
+    try {
+      const raw = window.localStorage?.getItem(ANALYSIS_CACHE_STORAGE_KEY);
+      const parsed = raw ? JSON.parse(raw) : {};
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch (e) {
+      log("analysisCacheStore: unreadable cache, ignoring");
+      return {};
+    }
+  },
+
+  /** @param {Object<string, AnalysisCacheEntry>} entries */
+  writeAll(entries) {
+    const ttlMs = getPositiveNumberVar("analysis_cache_ttl_hours", DEFAULT_ANALYSIS_CACHE_TTL_HOURS) * 3600000;
+    const maxEntries = getPositiveNumberVar("analysis_cache_max_entries", DEFAULT_ANALYSIS_CACHE_MAX_ENTRIES);
+    const maxBytes = getPositiveNumberVar("analysis_cache_max_bytes", DEFAULT_ANALYSIS_CACHE_MAX_BYTES);
+    const now = Date.now();
+    // Newest first, drop expired, then trim oldest until both caps hold.
+    const kept = Object.entries(entries)
+      .filter(([, e]) => e && typeof e.savedAt === "number" && now - e.savedAt < ttlMs)
+      .sort((a, b) => b[1].savedAt - a[1].savedAt)
+      .slice(0, maxEntries);
+    let json = JSON.stringify(Object.fromEntries(kept));
+    while (kept.length && json.length > maxBytes) {
+      kept.pop();
+      json = JSON.stringify(Object.fromEntries(kept));
+    }
+    try { window.localStorage?.setItem(ANALYSIS_CACHE_STORAGE_KEY, json); } catch (e) { log("analysisCacheStore: write failed: " + (e && e.message)); }
+  },
+
+  /**
+   * @param {string|null} key
+   * @returns {AnalysisCacheEntry|null} The entry if fresh and produced by the current prompts.
+   */
+  get(key) {
+    if (!key) return null;
+    const entry = this.readAll()[key];
+    if (!entry) return null;
+    const ttlMs = getPositiveNumberVar("analysis_cache_ttl_hours", DEFAULT_ANALYSIS_CACHE_TTL_HOURS) * 3600000;
+    if (entry.fingerprint !== getAnalysisFingerprint() || Date.now() - entry.savedAt >= ttlMs) return null;
+    return entry;
+  },
+
+  /**
+   * @param {string|null} key
+   * @param {EmailAnalysis} analysis
+   * @param {string} [draftHtml]
+   */
+  set(key, analysis, draftHtml) {
+    if (!key) return;
+    const entries = this.readAll();
+    entries[key] = { fingerprint: getAnalysisFingerprint(), savedAt: Date.now(), analysis, ...(draftHtml ? { draft: draftHtml } : {}) };
+    this.writeAll(entries);
+  },
+
+  /** @param {string|null} key */
+  remove(key) {
+    if (!key) return;
+    const entries = this.readAll();
+    if (key in entries) { delete entries[key]; this.writeAll(entries); }
+  }
+};
+
+/**
+ * Render an analysis via the (possibly overridden) window.setMetaData hook.
+ * @param {EmailAnalysis} a
+ */
+function renderAnalysis(a) {
+  if (typeof window !== "undefined" && typeof window.setMetaData === "function") window.setMetaData(a.sentiment, a.urgency, a.intention, a);
+  else setMetaDataLocal(a.sentiment, a.urgency, a.intention, a);
+  autoSelectPersona(a.intention);
+  setDetectedLanguage(a.language);
+  renderActionItems(a);
+}
+
+/**
+ * Show the cached analysis for a read-mode item, or run it (custom endpoint or model) and cache the result.
+ * @param {any} item
+ * @param {string} fromName
+ * @param {string} emailBody
+ * @param {{force: boolean=}} [opts] force skips the cache (Re-analyse).
+ * @returns {Promise<void>}
+ */
+async function runReadAnalysis(item, fromName, emailBody, opts = {}) {
+  const rc = document.getElementById("responseContainer");
+  const cacheKey = getAnalysisCacheKey(item);
+  const cached = opts.force ? null : analysisCacheStore.get(cacheKey);
+  if (cached) {
+    log(`Analysis served from cache for ${cacheKey}`);
+    if (cached.draft) draft = cached.draft;
+    const a = validateAnalysis(cached.analysis);
+    renderAnalysis(a);
+    if (rc) rc.textContent = `Analysis loaded from cache (${new Date(cached.savedAt).toLocaleString()}). Click Re-analyse to refresh.`;
+    return;
+  }
+
+  if (rc) rc.innerHTML = "Analyzing email content, please wait...";
+  try {
+    if (getVar("customendpoint_url") !== "") {
+      const q = { fromEmailAddress: fromName, subject: item.subject || "Unknown", body: emailBody };
+      const r = await callCustomEndpoint(q);
+      log(`Custom endpoint response: ${JSON.stringify(r)}`);
+      const a = validateAnalysis({
+        sentiment: r?.response?.metadata?.email_sentiment,
+        urgency: r?.response?.metadata?.email_urgency,
+        intention: r?.response?.metadata?.email_intention,
+        language: r?.response?.metadata?.email_language,
+        tasks: r?.response?.metadata?.email_tasks,
+        meetings: r?.response?.metadata?.email_meetings
+      });
+      draft = removeHtmlFences(r?.response?.answer?.email_draft ?? "");
+      // A response without metadata only produced the fallback labels, which are neither cached nor categorised.
+      const analysed = Boolean(r?.response?.metadata && typeof r.response.metadata === "object");
+      if (analysed) analysisCacheStore.set(cacheKey, a, draft);
+      if (rc) rc.innerHTML = "Analysis complete. Click Quick Reply to generate a draft.";
+      renderAnalysis(a);
+      if (analysed) applyCategoryRules(item, a);
+    } else {
+      let a;
+      try {
+        a = await analyzeEmail(fromName, emailBody, describeSentDate(item.dateTimeCreated));
+      } catch (e) {
+        // Nothing is rendered, cached or categorised, so Re-analyse and the next open try again.
+        log("Email analysis failed: " + (e && e.message));
+        if (rc) rc.textContent = e && e.name === "BudgetError" ? e.message : "Analysis failed. Click Re-analyse to try again.";
+        return;
+      }
+      analysisCacheStore.set(cacheKey, a);
+      if (rc) rc.innerHTML = "Analysis complete. Click Quick Reply to generate a draft.";
+      renderAnalysis(a);
+      applyCategoryRules(item, a);
+    }
+  } catch (e) {
+    log("Error calling endpoint: " + (e && e.message));
+    console.error("Error calling endpoint", e);
+    if (rc) rc.textContent = "Analysis failed. Click Re-analyse to try again.";
+    showError("Analysis failed. See console for details.");
+  }
+}
+
+/* ============================
+   Email helpers (openComposeWithHtml RETAINED)
+   ============================ */
+
+/**
+ * Get the email body for the given item, as plain text unless another coercion type is given.
+ * @param {Office.Item} item
+ * @param {Office.CoercionType} [coercionType]
+ * @returns {Promise<string>}
+ */
+async function getEmailBody(item, coercionType = Office.CoercionType.Text) {
+  return new Promise((resolve, reject) => {
+    if (item.body?.getAsync) {
+      item.body.getAsync(coercionType, (r) => {
+        if (r.status === Office.AsyncResultStatus.Succeeded) resolve(r.value);
+        else reject(r.error);
+      });
+    } else resolve("");
+  });
+}
+
+/**
+ * Suggest a reply subject derived from item.
+ * @param {Office.Item} item
+ * @returns {string}
+ */
+function getSuggestedSubjectFromItem(item) {
+  try {
+    const s = item?.subject?.toString ? item.subject.toString() : item?.subject || "";
+    return s ? `Re: ${s}` : "Reply";
+  } catch (e) { return "Reply"; }
+}
+
+/* ============================
+   Attachments (text extraction for context)
+   ============================ */
+
+/** Extensions read as plain text. */
+const TEXT_ATTACHMENT_EXTENSIONS = ["txt", "log", "csv", "json", "eml", "md", "xml"];
+
+/** Per-item attachment context, so chat turns don't refetch. @type {Map<string, Promise<Array<AttachmentContext>>>} */
+const attachmentContextStore = new Map();
+
+/**
+ * Lower-case file extension of an attachment name.
+ * @param {string} name
+ * @returns {string}
+ */
+function getExtension(name) {
+  const m = /\.([a-z0-9]+)$/i.exec(String(name || ""));
+  return m ? m[1].toLowerCase() : "";
+}
+
+/**
+ * Decode base64 into bytes.
+ * @param {string} b64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(b64) {
+  const bin = window.atob(String(b64 || ""));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Inflate raw deflate ("deflate-raw", zip entries) or zlib ("deflate", PDF streams) data.
+ * @param {Uint8Array} bytes
+ * @param {'deflate'|'deflate-raw'} format
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateBytes(bytes, format) {
+  if (typeof window.DecompressionStream !== "function") throw new Error("decompression is not supported in this client");
+  const stream = new window.Blob([bytes]).stream().pipeThrough(new window.DecompressionStream(format));
+  return new Uint8Array(await new window.Response(stream).arrayBuffer());
+}
+
+/**
+ * Read one file from a zip archive (stored or deflated entries only).
+ * @param {Uint8Array} bytes
+ * @param {string} path
+ * @returns {Promise<Uint8Array|null>} Null when the entry is missing.
+ */
+async function readZipEntry(bytes, path) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("not a zip archive");
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  for (let n = 0; n < count && view.getUint32(p, true) === 0x02014b50; n++) {
+    const method = view.getUint16(p + 10, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const local = view.getUint32(p + 42, true);
+    const name = new window.TextDecoder().decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    if (name === path) {
+      const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      const data = bytes.subarray(start, start + size);
+      if (method === 0) return data;
+      if (method === 8) return inflateBytes(data, "deflate-raw");
+      throw new Error(`unsupported zip compression ${method}`);
+    }
+    p += 46 + nameLen + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+  }
+  return null;
+}
+
+/**
+ * Decode the basic XML entities.
+ * @param {string} s
+ * @returns {string}
+ */
+function decodeXmlEntities(s) {
+  const map = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+  return s.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, (m, e) => {
+    if (e[0] !== "#") return map[e.toLowerCase()];
+    return String.fromCodePoint(e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+  });
+}
+
+/**
+ * Extract paragraph text from a .docx (word/document.xml).
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+async function extractDocxText(bytes) {
+  const xmlBytes = await readZipEntry(bytes, "word/document.xml");
+  if (!xmlBytes) throw new Error("no word/document.xml");
+  const xml = new window.TextDecoder().decode(xmlBytes);
+  return decodeXmlEntities(xml
+    .replace(/<w:tab\/>/g, "\t")
+    .replace(/<w:br\/>|<\/w:p>/g, "\n")
+    .replace(/<[^>]+>/g, ""))
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Best-effort text extraction from a PDF: inflates FlateDecode content streams and reads
+ * the strings shown by Tj/TJ operators. PDFs with CID/Identity-H fonts or scanned pages yield little.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+async function extractPdfText(bytes) {
+  let raw = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) raw += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  const unescape = (str) => str.replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (m, c) => {
+    if (/^[0-7]/.test(c)) return String.fromCharCode(parseInt(c, 8));
+    return { n: "\n", r: "\r", t: "\t", b: "", f: "" }[c] ?? c;
+  });
+  const parts = [];
+  const streamRe = /\bobj\b([^]*?)\bstream\r?\n/g;
+  let m;
+  while ((m = streamRe.exec(raw))) {
+    const start = m.index + m[0].length;
+    const end = raw.indexOf("endstream", start);
+    if (end < 0) break;
+    // Prefer a direct /Length; otherwise drop the end-of-line before "endstream".
+    const len = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(m[1]);
+    let content = len ? raw.substr(start, Number(len[1])) : raw.slice(start, end).replace(/\r?\n$/, "");
+    if (/\/FlateDecode/.test(m[1])) {
+      try {
+        const data = Uint8Array.from(content, (ch) => ch.charCodeAt(0));
+        content = new window.TextDecoder("latin1").decode(await inflateBytes(data, "deflate"));
+      } catch (e) { continue; }
+    } else if (/\/Filter/.test(m[1])) continue;
+    if (!/\bBT\b/.test(content)) continue;
+    const ops = content.match(/\((?:\\.|[^\\)])*\)\s*Tj|\[(?:\\.|[^\]])*\]\s*TJ|\bET\b|T\*|'/g) || [];
+    for (const op of ops) {
+      if (op === "ET" || op === "T*" || op === "'") { parts.push("\n"); continue; }
+      for (const s of op.match(/\((?:\\.|[^\\)])*\)/g) || []) parts.push(unescape(s.slice(1, -1)));
+    }
+    streamRe.lastIndex = end;
+  }
+  return parts.join("").replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * Read and extract the text of a single attachment.
+ * @param {Office.Item} item
+ * @param {Object} att Office attachment details.
+ * @returns {Promise<string>}
+ */
+async function readAttachmentText(item, att) {
+  const res = await officeAsync((cb) => item.getAttachmentContentAsync(att.id, cb));
+  const fmt = Office.MailboxEnums?.AttachmentContentFormat || {};
+  if (res.format === (fmt.Eml || "eml") || res.format === (fmt.ICalendar || "iCalendar")) return String(res.content || "");
+  if (res.format !== (fmt.Base64 || "base64")) throw new Error(`content format ${res.format} is not supported`);
+  const bytes = base64ToBytes(res.content);
+  const ext = getExtension(att.name);
+  if (ext === "docx") return extractDocxText(bytes);
+  if (ext === "pdf") return extractPdfText(bytes);
+  return new window.TextDecoder().decode(bytes);
+}
+
+/**
+ * Read the text-like attachments of a message within the configured limits
+ * (`attachment_max_count`, `attachment_max_bytes`, `attachment_max_chars`, `attachment_total_chars`).
+ * Inline images and cloud links are ignored; anything else unreadable is listed as skipped.
+ * @param {Office.Item} item
+ * @returns {Promise<Array<AttachmentContext>>}
+ */
+async function collectAttachmentContext(item) {
+  const atts = Array.isArray(item?.attachments) ? item.attachments.filter((a) => !a.isInline && a.attachmentType !== "cloud") : [];
+  if (atts.length === 0 || typeof item.getAttachmentContentAsync !== "function" || getVar("attachments_enabled") === false) return [];
+  const maxCount = getPositiveNumberVar("attachment_max_count", DEFAULT_ATTACHMENT_MAX_COUNT);
+  const maxBytes = getPositiveNumberVar("attachment_max_bytes", DEFAULT_ATTACHMENT_MAX_BYTES);
+  const maxChars = getPositiveNumberVar("attachment_max_chars", DEFAULT_ATTACHMENT_MAX_CHARS);
+  let budget = getPositiveNumberVar("attachment_total_chars", DEFAULT_ATTACHMENT_TOTAL_CHARS);
+  const out = [];
+  for (const att of atts) {
+    const name = att.name || "attachment";
+    const ext = att.attachmentType === "item" ? "eml" : getExtension(name);
+    const skip = (reason) => out.push({ name, included: false, reason, text: "" });
+    if (![...TEXT_ATTACHMENT_EXTENSIONS, "docx", "pdf"].includes(ext)) { skip("unsupported type"); continue; }
+    if (out.filter((a) => a.included).length >= maxCount) { skip("attachment limit reached"); continue; }
+    if (att.size > maxBytes) { skip("too large"); continue; }
+    if (budget <= 0) { skip("context limit reached"); continue; }
+    try {
+      let text = (await readAttachmentText(item, att)).trim();
+      if (!text) { skip("no readable text"); continue; }
+      const limit = Math.min(maxChars, budget);
+      const truncated = text.length > limit;
+      if (truncated) text = text.slice(0, limit);
+      budget -= text.length;
+      out.push({ name, included: true, text, ...(truncated ? { reason: "truncated" } : {}) });
+    } catch (e) {
+      log(`Attachment ${name} skipped: ${e && e.message}`);
+      skip(e && e.message ? e.message : "could not be read");
+    }
+  }
+  return out;
+}
+
+/**
+ * Attachment context for an item, read once per item.
+ * @param {Office.Item} item
+ * @returns {Promise<Array<AttachmentContext>>}
+ */
+function getAttachmentContext(item) {
+  const key = getConversationKey(item);
+  if (!attachmentContextStore.has(key)) attachmentContextStore.set(key, collectAttachmentContext(item).catch(() => []));
+  return attachmentContextStore.get(key);
+}
+
+/**
+ * Format included attachments as a prompt block appended to the email body.
+ * @param {Array<AttachmentContext>} list
+ * @returns {string}
+ */
+function formatAttachmentContext(list) {
+  return list.filter((a) => a.included)
+    .map((a) => `\n\nATTACHMENT "${a.name}"${a.reason ? ` (${a.reason})` : ""}:\n${a.text}`)
+    .join("");
+}
+
+/**
+ * List which attachments were considered in the pane.
+ * @param {Array<AttachmentContext>} list
+ */
+function renderAttachmentList(list) {
+  const card = document.getElementById("attachmentsCard");
+  const ul = document.getElementById("attachmentList");
+  if (!card || !ul) return;
+  ul.textContent = "";
+  for (const a of list) {
+    const li = document.createElement("li");
+    li.className = a.included ? "included" : "skipped";
+    li.textContent = a.included
+      ? `${a.name} — included (${a.text.length.toLocaleString()} chars${a.reason ? `, ${a.reason}` : ""})`
+      : `${a.name} — skipped (${a.reason})`;
+    ul.appendChild(li);
+  }
+  card.classList.toggle("hidden", list.length === 0);
+}
+
+/**
+ * Latest message body plus attachment text and (when `thread_context` is not false) the earlier
+ * thread messages, for analysis and reply prompts.
+ * @param {Office.Item} item
+ * @returns {Promise<string>}
+ */
+async function getEmailContext(item) {
+  const body = (await getEmailBody(item)).trim();
+  const attachments = formatAttachmentContext(await getAttachmentContext(item));
+  if (getVar("thread_context") === false) return body + attachments;
+  const { latest, earlier } = await assembleThread(item, body);
+  return (latest || body) + attachments + formatThreadContext(earlier);
+}
+
+/* ============================
+   Thread context
+   ============================ */
+
+/** Lines that start a quoted earlier message in a plain-text body. */
+const QUOTE_HEADER_PATTERNS = [
+  /^-{2,}\s*Original Message\s*-{2,}\s*$/im,
+  /^_{10,}\s*$/m,
+  /^From:[^\n]*\n(?:[^\n]*\n){0,3}?(?:Sent|Date):[^\n]*$/im,
+  /^On [^\n]{5,200}wrote:\s*$/im
+];
+
+/**
+ * Position of the first quote header in text at or after `from`, or -1.
+ * @param {string} text
+ * @param {number} [from=0]
+ * @returns {number}
+ */
+function findQuoteHeader(text, from = 0) {
+  const rest = text.slice(from);
+  const hits = QUOTE_HEADER_PATTERNS.map((re) => rest.search(re)).filter((i) => i >= 0);
+  return hits.length ? from + Math.min(...hits) : -1;
+}
+
+/**
+ * Parse one quoted segment into a ThreadMessage (sender/date from its header block).
+ * @param {string} segment
+ * @returns {ThreadMessage}
+ */
+function parseQuotedSegment(segment) {
+  const text = segment.replace(/^>+ ?/gm, "").replace(/^(-{2,}\s*Original Message\s*-{2,}|_{10,})\s*$/im, "").trim();
+  const onWrote = /^On (.{5,200}?),? ([^,\n]+?) wrote:\s*$/im.exec(text);
+  if (onWrote && text.indexOf(onWrote[0]) === 0) {
+    return { from: onWrote[2].trim(), sent: onWrote[1].trim(), body: text.slice(onWrote[0].length).trim() };
+  }
+  // Outlook style header block: From/Sent/To/Cc/Subject lines, then a blank line.
+  const headerEnd = text.search(/\n\s*\n/);
+  const header = headerEnd >= 0 ? text.slice(0, headerEnd) : "";
+  const from = /^From:\s*(.+)$/im.exec(header);
+  const sent = /^(?:Sent|Date):\s*(.+)$/im.exec(header);
+  if (!from) return { from: "", body: text };
+  return { from: from[1].trim(), ...(sent ? { sent: sent[1].trim() } : {}), body: text.slice(headerEnd).trim() };
+}
+
+/**
+ * Split a plain-text body into the latest message and its quoted history (newest quoted first).
+ * @param {string} text
+ * @returns {{latest: string, quoted: Array<ThreadMessage>}}
+ */
+function splitQuotedHistory(text) {
+  const body = String(text || "").replace(/\r\n/g, "\n");
+  const first = findQuoteHeader(body);
+  if (first < 0) return { latest: body.trim(), quoted: [] };
+  const quoted = [];
+  let start = first;
+  while (start >= 0) {
+    // Skip past this header's first line before looking for the next one.
+    const next = findQuoteHeader(body, body.indexOf("\n", start) + 1 || body.length);
+    const segment = parseQuotedSegment(body.slice(start, next < 0 ? body.length : next));
+    if (segment.body) quoted.push(segment);
+    start = next;
+  }
+  return { latest: body.slice(0, first).trim(), quoted };
+}
+
+/**
+ * Mail-data backends, chosen by config `thread_backend` ("none" by default).
+ * "http" GETs `thread_endpoint`?conversationId=... and expects `{ messages: ThreadMessage[] }`.
+ * @type {Object<string, MailDataBackend>}
+ */
+const MAIL_DATA_BACKENDS = {
+  none: {
+    label: "Quoted history only",
+    async fetchConversation() { return []; }
+  },
+  http: {
+    label: "HTTP endpoint",
+    async fetchConversation(conversationId) {
+      const base = getVar("thread_endpoint");
+      if (!base) throw new Error("thread_endpoint is not configured");
+      const url = `${base}${base.includes("?") ? "&" : "?"}conversationId=${encodeURIComponent(conversationId)}`;
+      const res = await fetchWithTimeout(url, { headers: { Accept: "application/json" } }, REQUEST_TIMEOUT_MS);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      return Array.isArray(data?.messages) ? data.messages : [];
+    }
+  }
+};
+
+/**
+ * Look up the configured mail-data backend.
+ * @param {string} [name]
+ * @returns {MailDataBackend}
+ */
+function getMailDataBackend(name = getVar("thread_backend") || "none") {
+  const backend = MAIL_DATA_BACKENDS[String(name).toLowerCase()];
+  if (!backend) log(`Unknown thread_backend "${name}", using quoted history only`);
+  return backend || MAIL_DATA_BACKENDS.none;
+}
+
+/**
+ * Normalised fingerprint of a message body used for de-duplication.
+ * @param {string} body
+ * @returns {string}
+ */
+function threadBodyKey(body) {
+  return hashString(String(body || "").replace(/^>+ ?/gm, "").replace(/\s+/g, " ").trim().toLowerCase().slice(0, 400));
+}
+
+/**
+ * Assemble the earlier messages of an item's thread: quoted history from the body plus, when a backend
+ * is configured, messages fetched by conversationId. Returned oldest first, without the latest message,
+ * de-duplicated by body and trimmed to `thread_max_messages` / `thread_max_chars` (oldest dropped first).
+ * @param {Office.Item} item
+ * @param {string} bodyText Plain-text body of the item.
+ * @returns {Promise<{latest: string, earlier: Array<ThreadMessage>}>}
+ */
+async function assembleThread(item, bodyText) {
+  const { latest, quoted } = splitQuotedHistory(bodyText);
+  let fetched = [];
+  if (item?.conversationId) {
+    try {
+      fetched = await getMailDataBackend().fetchConversation(String(item.conversationId), { item });
+    } catch (e) { log("Thread backend failed: " + (e && e.message)); }
+  }
+  const time = (m) => { const t = Date.parse(String(m.sent || "").replace(/\bat\b/, " ")); return Number.isNaN(t) ? -Infinity : t; };
+  // Fetched copies win over quoted ones (they carry ids and dates); undated quoted messages sort first.
+  const candidates = fetched.filter((m) => m && (!m.id || m.id !== item.itemId))
+    .map((m) => ({ ...(m.id ? { id: m.id } : {}), from: String(m.from || ""), sent: m.sent, body: splitQuotedHistory(m.body).latest }))
+    .concat(quoted.slice().reverse());
+  const seen = new Set([threadBodyKey(latest)]);
+  let earlier = [];
+  for (const m of candidates) {
+    const key = threadBodyKey(m.body);
+    if (!m.body || seen.has(key)) continue;
+    seen.add(key);
+    earlier.push(m);
+  }
+  if (fetched.length) earlier.sort((x, y) => time(x) - time(y));
+  earlier = earlier.slice(-getPositiveNumberVar("thread_max_messages", DEFAULT_THREAD_MAX_MESSAGES));
+  let budget = getPositiveNumberVar("thread_max_chars", DEFAULT_THREAD_MAX_CHARS);
+  const kept = [];
+  for (const m of earlier.slice().reverse()) {
+    if (budget <= 0) break;
+    kept.unshift(m.body.length > budget ? { ...m, body: m.body.slice(0, budget) + " …" } : m);
+    budget -= m.body.length;
+  }
+  return { latest, earlier: kept };
+}
+
+/**
+ * Format earlier thread messages as a prompt block.
+ * @param {Array<ThreadMessage>} earlier
+ * @returns {string}
+ */
+function formatThreadContext(earlier) {
+  if (!earlier.length) return "";
+  return "\n\nEARLIER_MESSAGES_IN_THREAD (oldest first):" + earlier
+    .map((m, i) => `\n[${i + 1}] From: ${m.from || "Unknown"}${m.sent ? ` (${m.sent})` : ""}\n${m.body}`)
+    .join("\n");
+}
+
+/* ============================
+   Translate (read mode)
+   ============================ */
+
+/** Fallback instruction when config.json has no translatePrompt. */
+const DEFAULT_TRANSLATE_PROMPT =
+  "You translate emails faithfully. Translate the email HTML into the target language without summarising, " +
+  "adding or leaving out anything. Keep the structure: paragraphs, lists, tables, links and quoted earlier messages " +
+  "(blockquotes, lines starting with >, From:/Sent: headers) stay where they are, with their text translated. " +
+  "Leave names, email addresses, numbers and code unchanged. Return only the translated HTML.";
+const DEFAULT_TRANSLATE_MAX_CHARS = 30000;
+
+/** Translations already fetched, by conversation key and target language. @type {Map<string, {html:string, original:string, target:string}>} */
+const translationStore = new Map();
+
+/**
+ * Plain text as escaped HTML paragraphs.
+ * @param {string} text
+ * @returns {string}
+ */
+function textToHtml(text) {
+  const escaped = String(text || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  return escaped.split(/\r?\n\s*\r?\n/).map((p) => `<p>${p.replace(/\r?\n/g, "<br>")}</p>`).join("");
+}
+
+/**
+ * Language to translate into: the translate_language setting, else Outlook's display language, else English.
+ * @returns {string}
+ */
+function getTranslationTarget() {
+  const configured = String(getVar("translate_language") || "").trim();
+  if (configured) return configured;
+  try {
+    const code = Office.context?.displayLanguage;
+    if (code && typeof Intl !== "undefined" && Intl.DisplayNames) return new Intl.DisplayNames(["en"], { type: "language" }).of(code.split("-")[0]) || "English";
+  } catch (e) { /* unknown language code */ }
+  return "English";
+}
+
+/**
+ * Cut HTML to about maxChars of markup without splitting a tag. Whole nodes are kept while they fit;
+ * the first one that does not is entered so its opening part is kept, and text is cut at a word.
+ * Without DOMParser the markup is cut before the last partial tag.
+ * @param {string} html
+ * @param {number} maxChars
+ * @returns {string} html unchanged when it already fits.
+ */
+function truncateHtml(html, maxChars) {
+  if (html.length <= maxChars) return html;
+  if (typeof window === "undefined" || typeof window.DOMParser !== "function") return html.slice(0, maxChars).replace(/<[^>]*$/, "");
+  const doc = new window.DOMParser().parseFromString(html, "text/html");
+  const fill = (source, target, budget) => {
+    for (const node of Array.from(source.childNodes)) {
+      const size = node.nodeType === 1 ? node.outerHTML.length : String(node.textContent || "").length;
+      if (size <= budget) { target.appendChild(node.cloneNode(true)); budget -= size; continue; }
+      if (node.nodeType === 1) {
+        const shell = node.cloneNode(false);
+        const room = budget - shell.outerHTML.length;
+        if (room > 0) fill(node, shell, room);
+        if (shell.textContent.trim()) target.appendChild(shell);
+      } else if (node.nodeType === 3) {
+        // Drop the word the cut lands in, and the space before it.
+        const text = node.textContent;
+        const cut = /\S/.test(text.charAt(budget)) ? text.slice(0, budget).replace(/\S*$/, "") : text.slice(0, budget);
+        if (cut.trim()) target.appendChild(doc.createTextNode(cut.replace(/\s+$/, "")));
+      }
+      return;
+    }
+  };
+  const out = doc.createElement("div");
+  fill(doc.body, out, maxChars);
+  return out.innerHTML;
+}
+
+/**
+ * Translate the item's body into the target language, keeping its structure.
+ * @param {Office.Item} item
+ * @param {string} target
+ * @returns {Promise<{html:string, original:string, target:string}>} Both HTML strings are sanitized.
+ */
+async function translateEmail(item, target) {
+  const key = `${getConversationKey(item)}|${target}`;
+  if (translationStore.has(key)) return translationStore.get(key);
+  const htmlBody = await getEmailBody(item, Office.CoercionType.Html).catch(() => "");
+  let original = sanitizeHtml(htmlBody);
+  if (!original.replace(/<[^>]*>/g, "").trim()) original = textToHtml(await getEmailBody(item));
+  const maxChars = getPositiveNumberVar("translate_max_chars", DEFAULT_TRANSLATE_MAX_CHARS);
+  const source = original.length > maxChars ? `${truncateHtml(original, maxChars)}<p>[…]</p>` : original;
+  const result = await callGeminiAPI(`TARGET_LANGUAGE: ${target}\n\nEMAIL_HTML:\n${source}`, getVar("translatePrompt") || DEFAULT_TRANSLATE_PROMPT, { timeoutMs: REQUEST_TIMEOUT_MS });
+  const text = removeHtmlFences(String(extractModelText(result) || "").trim());
+  if (!text) throw new Error("The translation came back empty.");
+  const translation = { html: sanitizeHtml(/<[a-z][^>]*>/i.test(text) ? text : textToHtml(text)), original, target };
+  translationStore.set(key, translation);
+  return translation;
+}
+
+/**
+ * Show a translation in responseContainer, with a toggle for the original side by side.
+ * @param {{html:string, original:string, target:string}} translation
+ * @param {string} [sourceLanguage]
+ */
+function renderTranslation(translation, sourceLanguage) {
+  const rc = document.getElementById("responseContainer");
+  if (!rc) return;
+  rc.textContent = "";
+  rc.classList.remove("error");
+  const bar = document.createElement("div");
+  bar.className = "translation-toolbar";
+  const label = document.createElement("span");
+  label.className = "hint";
+  label.textContent = sourceLanguage ? `Translated from ${sourceLanguage} to ${translation.target}` : `Translated to ${translation.target}`;
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.className = "ghost";
+  toggle.textContent = "Show original";
+  toggle.setAttribute("aria-pressed", "false");
+  bar.append(label, toggle);
+
+  const view = document.createElement("div");
+  view.className = "translation-view";
+  const pane = (title, html, cls) => {
+    const section = document.createElement("section");
+    section.className = `translation-pane ${cls}`;
+    const h = document.createElement("strong");
+    h.textContent = title;
+    const body = document.createElement("div");
+    body.innerHTML = html;
+    section.append(h, body);
+    return section;
+  };
+  const originalPane = pane(sourceLanguage ? `Original (${sourceLanguage})` : "Original", translation.original, "original hidden");
+  view.append(originalPane, pane(translation.target, translation.html, "translated"));
+  toggle.addEventListener("click", () => {
+    const sideBySide = view.classList.toggle("side-by-side");
+    originalPane.classList.toggle("hidden", !sideBySide);
+    toggle.textContent = sideBySide ? "Hide original" : "Show original";
+    toggle.setAttribute("aria-pressed", String(sideBySide));
+  });
+  rc.append(bar, view);
+}
+
+/**
+ * Wire the Translate button for a read-mode item.
+ * @param {Office.Item} item
+ */
+function initTranslateButton(item) {
+  const btn = document.getElementById("btnTranslate");
+  if (!btn) return;
+  btn.classList.remove("hidden");
+  btn.disabled = false;
+  btn.addEventListener("click", async () => {
+    const rc = document.getElementById("responseContainer");
+    const target = getTranslationTarget();
+    const detected = replyLanguageStore.detected.get(getConversationKey(item));
+    if (detected && detected.toLowerCase() === target.toLowerCase()) {
+      if (rc) rc.textContent = `This email is already in ${target}.`;
+      return;
+    }
+    btn.disabled = true;
+    if (rc) rc.textContent = `Translating to ${target}...`;
+    try {
+      renderTranslation(await translateEmail(item, target), detected);
+    } catch (e) {
+      log("Translation failed: " + (e && e.message));
+      showError(e && e.name === "BudgetError" ? e.message : "Translation failed. Please try again.");
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
+/* ============================
+   Action items (tasks and meetings)
+   ============================ */
+
+/** Fallback ACTIONS section of the analysis instruction when config.json has no actionsPrompt. */
+const DEFAULT_ACTIONS_PROMPT =
+  "Also fill tasks and meetings. tasks lists concrete things the email asks someone to do: description (a short imperative), " +
+  "owner (the person named as responsible, empty when unclear) and due (YYYY-MM-DD, or YYYY-MM-DDTHH:MM when a time is given; " +
+  "empty when there is no deadline). meetings lists meetings the email proposes or asks for: subject, start and end " +
+  "(YYYY-MM-DDTHH:MM; end empty when no length is given), attendees (email addresses only) and location. Resolve relative " +
+  "dates such as \"next Friday\" against the Sent date. Use empty lists when there are none; never invent tasks or meetings.";
+const MAX_ACTION_TASKS = 10;
+const MAX_ACTION_MEETINGS = 5;
+const DEFAULT_MEETING_MINUTES = 30;
+
+/** Tasks and meetings shown in the Actions card. @type {{tasks: Array<ActionTask>, meetings: Array<ProposedMeeting>}} */
+const actionItemsStore = { tasks: [], meetings: [] };
+
+/** @returns {boolean} Whether the analysis call also extracts tasks and meetings (actions_enabled, default on). */
+function isActionExtractionEnabled() {
+  return getVar("actions_enabled") !== false;
+}
+
+/**
+ * Schema properties for tasks and meetings, merged into buildAnalysisSchema.
+ * @returns {Object}
+ */
+function buildActionItemsSchema() {
+  const text = { type: "string" };
+  const date = { type: "string", description: "YYYY-MM-DD or YYYY-MM-DDTHH:MM, empty when not given." };
+  return {
+    tasks: {
+      type: "array",
+      items: { type: "object", properties: { description: text, owner: text, due: date }, required: ["description", "owner", "due"] }
+    },
+    meetings: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { subject: text, start: date, end: date, attendees: { type: "array", items: text }, location: text },
+        required: ["subject", "start", "end", "attendees", "location"]
+      }
+    }
+  };
+}
+
+/**
+ * The item's sent time in local time for the analysis prompt, e.g. "2026-03-05 09:30 (Thursday)".
+ * @param {Date|string|undefined} value
+ * @returns {string} "" when unknown.
+ */
+function describeSentDate(value) {
+  const d = value ? new Date(value) : null;
+  if (!d || Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  const weekday = d.toLocaleDateString("en-GB", { weekday: "long" });
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())} (${weekday})`;
+}
+
+/**
+ * Parse an action date as local time.
+ * @param {string} iso YYYY-MM-DD or YYYY-MM-DDTHH:MM
+ * @returns {Date|null}
+ */
+function parseActionDate(iso) {
+  if (!iso) return null;
+  const d = new Date(iso.includes("T") ? iso : `${iso}T00:00`);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Keep the YYYY-MM-DD[THH:MM] part of a model-supplied date; anything else (or an impossible date) is "".
+ * @param {any} value
+ * @returns {string}
+ */
+function normalizeActionDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/.exec(String(value ?? "").trim());
+  if (!m) return "";
+  const iso = m[4] ? `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}` : `${m[1]}-${m[2]}-${m[3]}`;
+  const d = parseActionDate(iso);
+  // Date rolls 2026-02-31 over into March; reject instead.
+  return d && d.getMonth() + 1 === Number(m[2]) && d.getDate() === Number(m[3]) ? iso : "";
+}
+
+/**
+ * First line of a model-supplied string, trimmed and capped.
+ * @param {any} value
+ * @param {number} max
+ * @returns {string}
+ */
+function toActionText(value, max) {
+  return String(value ?? "").split(/\r?\n/)[0].trim().slice(0, max);
+}
+
+/**
+ * @param {any} raw
+ * @returns {Array<ActionTask>}
+ */
+function validateActionTasks(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((t) => t && typeof t === "object")
+    .map((t) => ({ description: toActionText(t.description, 200), owner: toActionText(t.owner, 80), due: normalizeActionDate(t.due) }))
+    .filter((t) => t.description)
+    .slice(0, MAX_ACTION_TASKS);
+}
+
+/**
+ * Drops attendees that are not email addresses and an end that is not after a timed start.
+ * @param {any} raw
+ * @returns {Array<ProposedMeeting>}
+ */
+function validateProposedMeetings(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((m) => m && typeof m === "object")
+    .map((m) => {
+      const start = normalizeActionDate(m.start);
+      let end = normalizeActionDate(m.end);
+      if (!start.includes("T") || !end.includes("T") || parseActionDate(end) <= parseActionDate(start)) end = "";
+      const attendees = (Array.isArray(m.attendees) ? m.attendees : [])
+        .map((a) => String(a ?? "").trim())
+        .filter((a) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(a));
+      return { subject: toActionText(m.subject, 120), start, end, attendees: [...new Set(attendees)].slice(0, 20), location: toActionText(m.location, 120) };
+    })
+    .filter((m) => m.subject || m.start)
+    .slice(0, MAX_ACTION_MEETINGS);
+}
+
+/**
+ * Human-readable local date, with the time when there is one.
+ * @param {string} iso
+ * @returns {string}
+ */
+function formatActionDate(iso) {
+  const d = parseActionDate(iso);
+  if (!d) return "";
+  const opts = { weekday: "short", day: "numeric", month: "short", year: "numeric" };
+  return iso.includes("T") ? d.toLocaleString(undefined, { ...opts, hour: "2-digit", minute: "2-digit" }) : d.toLocaleDateString(undefined, opts);
+}
+
+/**
+ * Start and end for a timed meeting; end defaults to DEFAULT_MEETING_MINUTES after start.
+ * @param {ProposedMeeting} meeting
+ * @returns {{start: Date, end: Date}|null} null when no start time is known.
+ */
+function getMeetingWindow(meeting) {
+  if (!meeting.start.includes("T")) return null;
+  const start = parseActionDate(meeting.start);
+  return { start, end: parseActionDate(meeting.end) || new Date(start.getTime() + DEFAULT_MEETING_MINUTES * 60000) };
+}
+
+/**
+ * @param {ProposedMeeting} meeting
+ * @returns {string} e.g. "Tue, 3 Mar 2026, 14:00–15:00" or "Time not given".
+ */
+function describeMeetingWindow(meeting) {
+  const w = getMeetingWindow(meeting);
+  if (!w) return meeting.start ? formatActionDate(meeting.start) : "Time not given";
+  return `${formatActionDate(meeting.start)}–${w.end.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" })}`;
+}
+
+/**
+ * Open Outlook's new appointment form prefilled from a proposed meeting. Attendees default to the
+ * sender; the signed-in user is left out because they are the organiser.
+ * @param {ProposedMeeting} meeting
+ * @param {Office.Item} item The message the meeting was proposed in.
+ */
+function openAppointmentForm(meeting, item) {
+  const mailbox = Office.context?.mailbox;
+  if (typeof mailbox?.displayNewAppointmentForm !== "function") { showError("This Outlook client cannot open a new appointment."); return; }
+  const self = String(mailbox.userProfile?.emailAddress || "").toLowerCase();
+  const sender = item?.from?.emailAddress;
+  const attendees = (meeting.attendees.length ? meeting.attendees : [sender]).filter((a) => a && a.toLowerCase() !== self);
+  const window_ = getMeetingWindow(meeting);
+  const from = item?.from ? ` from ${item.from.displayName || item.from.emailAddress}` : "";
+  const lines = [`Proposed in "${item?.subject || "an email"}"${from}.`];
+  if (!window_ && meeting.start) lines.push(`Proposed date: ${formatActionDate(meeting.start)}.`);
+  try {
+    mailbox.displayNewAppointmentForm({
+      requiredAttendees: attendees,
+      subject: meeting.subject || item?.subject || "Meeting",
+      location: meeting.location,
+      body: lines.join("\n"),
+      ...(window_ ? { start: window_.start, end: window_.end } : {})
+    });
+  } catch (e) {
+    log("displayNewAppointmentForm failed: " + (e && e.message));
+    showError("Could not open the appointment form.");
+  }
+}
+
+/**
+ * Tasks as an HTML checklist for a reply draft.
+ * @param {Array<ActionTask>} tasks
+ * @returns {string}
+ */
+function buildTaskChecklistHtml(tasks) {
+  const esc = (v) => String(v).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const items = tasks.map((t) => {
+    const meta = [t.owner, t.due && `due ${formatActionDate(t.due)}`].filter(Boolean).join(", ");
+    return `<li>☐ ${esc(t.description)}${meta ? ` (${esc(meta)})` : ""}</li>`;
+  });
+  return `<p>Action items:</p><ul style="list-style-type: none">${items.join("")}</ul>`;
+}
+
+/**
+ * Fill the Actions card from an analysis; hidden when it found nothing.
+ * @param {EmailAnalysis} a
+ */
+function renderActionItems(a) {
+  const card = document.getElementById("actionsCard");
+  const taskList = document.getElementById("taskList");
+  const meetingList = document.getElementById("meetingList");
+  if (!card || !taskList || !meetingList) return;
+  actionItemsStore.tasks = a.tasks || [];
+  actionItemsStore.meetings = a.meetings || [];
+  taskList.textContent = "";
+  meetingList.textContent = "";
+
+  actionItemsStore.tasks.forEach((t, i) => {
+    const li = document.createElement("li");
+    const label = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = true;
+    box.dataset.index = String(i);
+    const text = document.createElement("span");
+    text.textContent = t.description;
+    label.append(box, text);
+    const meta = [t.owner, t.due && `due ${formatActionDate(t.due)}`].filter(Boolean).join(" · ");
+    if (meta) {
+      const small = document.createElement("small");
+      small.className = "hint";
+      small.textContent = meta;
+      label.append(small);
+    }
+    li.append(label);
+    taskList.append(li);
+  });
 
-  if (typeof result?.text === "string") {
-    const parsed = tryParseJsonFromText(result.text);
-    if (parsed && parsed.function) return { functionCall: { name: parsed.function, args: parsed.args || {} } };
-    return { text: result.text };
+  for (const m of actionItemsStore.meetings) {
+    const li = document.createElement("li");
+    const title = document.createElement("strong");
+    title.textContent = m.subject || "Meeting";
+    const when = document.createElement("small");
+    when.className = "hint";
+    const who = m.attendees.length ? ` · ${m.attendees.length} attendee${m.attendees.length === 1 ? "" : "s"}` : "";
+    when.textContent = `${describeMeetingWindow(m)}${m.location ? ` · ${m.location}` : ""}${who}`;
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "ghost";
+    btn.textContent = "Create appointment";
+    btn.addEventListener("click", () => openAppointmentForm(m, Office.context?.mailbox?.item));
+    li.append(title, when, btn);
+    meetingList.append(li);
   }
 
-  return null;
+  document.getElementById("taskSection")?.classList.toggle("hidden", !actionItemsStore.tasks.length);
+  document.getElementById("meetingSection")?.classList.toggle("hidden", !actionItemsStore.meetings.length);
+  card.classList.toggle("hidden", !actionItemsStore.tasks.length && !actionItemsStore.meetings.length);
+}
+
+/**
+ * Wire the Actions card's "Copy tasks to reply" button for a read-mode item.
+ * @param {Office.Item} item
+ */
+function initActionsCard(item) {
+  const btn = document.getElementById("btnCopyTasks");
+  if (!btn) return;
+  btn.addEventListener("click", async () => {
+    const picked = [...document.querySelectorAll("#taskList input[type=checkbox]")]
+      .filter((box) => box.checked)
+      .map((box) => actionItemsStore.tasks[Number(box.dataset.index)])
+      .filter(Boolean);
+    const rc = document.getElementById("responseContainer");
+    if (!picked.length) { if (rc) rc.textContent = "Tick at least one task to copy."; return; }
+    btn.disabled = true;
+    try {
+      const opened = await openComposeWithHtml(item, buildTaskChecklistHtml(picked), getSuggestedSubjectFromItem(item));
+      if (opened && rc) rc.textContent = `Copied ${picked.length} task${picked.length === 1 ? "" : "s"} into a reply.`;
+    } catch (e) {
+      log("Copy tasks failed: " + (e && e.message));
+      showError("Could not open a reply with the tasks.");
+    } finally {
+      btn.disabled = false;
+    }
+  });
 }
 
 /* ============================
-   Call Gemini / Generative API
+   Outlook categories (category_rules)
    ============================ */
 
 /**
- * Call the provider (Google Generative API or proxy).
- * @returns {Promise<NormalizedResult>}
+ * Rules in effect; empty unless category_rules_enabled is true.
+ * @returns {Array<CategoryRule>}
  */
-async function callGeminiAPI(userQuery, system_instruction, opts = {}) {
-  const apiKey = getVar("google_api_key");
-  const endpointUrl = getVar("endpoint_url") || "";
-  const proxyUrl = getVar("proxy_gen_endpoint") || DEFAULT_PROXY_ENDPOINT;
-  const apiUrl = endpointUrl && apiKey ? `${endpointUrl}${apiKey}` : proxyUrl;
-
-  const payload = {
-    contents: [{ parts: [{ text: String(userQuery || "") }] }],
-    tools: [{ google_search: {} }],
-    systemInstruction: { parts: [{ text: String(system_instruction || "") }] },
-    ...(opts.apiParams || {})
-  };
-
-  const maxAttempts = Number(opts.maxAttempts || DEFAULT_MAX_ATTEMPTS);
-  const baseDelay = Number(opts.baseDelayMs || 1000);
-  const timeoutMs = Number(opts.timeoutMs || REQUEST_TIMEOUT_MS);
+function getCategoryRules() {
+  if (getVar("category_rules_enabled") !== true) return [];
+  const rules = configMap.get("category_rules");
+  return Array.isArray(rules) ? rules.filter((r) => r && String(r.category || "").trim() && r.when && typeof r.when === "object") : [];
+}
 
-  let attempt = 0;
-  while (attempt < maxAttempts) {
-    attempt++;
-    const AC = typeof window !== "undefined" && window.AbortController ? new window.AbortController() : null;
-    const signal = AC ? AC.signal : undefined;
-    const timerId = AC && typeof window !== "undefined" && window.setTimeout ? window.setTimeout(() => AC.abort(), timeoutMs) : null;
+/**
+ * Categories whose rule matches the analysis. Every field named in `when` must match (a list matches
+ * any of its labels); a rule with an empty `when` never matches.
+ * @param {EmailAnalysis} a
+ * @param {Array<CategoryRule>} rules
+ * @returns {Array<{displayName:string, color:string}>} De-duplicated by name, first rule wins.
+ */
+function matchCategoryRules(a, rules) {
+  const out = new Map();
+  for (const rule of rules) {
+    const conditions = Object.entries(rule.when).filter(([field]) => TAXONOMY_FIELDS.includes(field));
+    if (!conditions.length) continue;
+    const matches = conditions.every(([field, expected]) => [].concat(expected).some((v) => String(v).toLowerCase() === String(a[field] || "").toLowerCase()));
+    const displayName = String(rule.category).trim();
+    if (matches && !out.has(displayName.toLowerCase())) out.set(displayName.toLowerCase(), { displayName, color: CATEGORY_COLORS.includes(rule.color) ? rule.color : "None" });
+  }
+  return [...out.values()];
+}
 
-    try {
-      const res = await fetch(apiUrl, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-        signal
-      });
+/**
+ * Add categories missing from the mailbox's master list, with their rule colours.
+ * @param {Array<{displayName:string, color:string}>} categories
+ * @returns {Promise<void>}
+ */
+async function ensureMasterCategories(categories) {
+  const master = Office.context.mailbox.masterCategories;
+  const existing = await officeAsync((cb) => master.getAsync(cb));
+  const known = new Set((existing || []).map((c) => String(c.displayName).toLowerCase()));
+  const missing = categories.filter((c) => !known.has(c.displayName.toLowerCase()));
+  if (!missing.length) return;
+  await officeAsync((cb) => master.addAsync(missing, cb));
+  log(`Master categories created: ${missing.map((c) => c.displayName).join(", ")}`);
+}
 
-      if (typeof window !== "undefined" && window.clearTimeout && timerId) window.clearTimeout(timerId);
-      log(`Attempt ${attempt}: API status ${res.status}`);
+/**
+ * Apply the categories matching an analysis to a read-mode item, so triage shows in the message list.
+ * Only adds: categories already on the item are left alone and none are removed on re-analysis.
+ * Adding to the item works with ReadWriteItem. Creating missing master categories needs ReadWriteMailbox,
+ * so it only happens when `category_create_master` is true; otherwise the categories must already exist.
+ * Failures (no Mailbox 1.8, a category that does not exist) are logged and otherwise ignored.
+ * @param {Office.Item} item
+ * @param {EmailAnalysis} a
+ * @returns {Promise<Array<string>>} Names added.
+ */
+async function applyCategoryRules(item, a) {
+  const wanted = matchCategoryRules(a, getCategoryRules());
+  if (!wanted.length) return [];
+  if (typeof item?.categories?.addAsync !== "function") { log("Categories not supported by this Outlook client"); return []; }
+  try {
+    const current = await officeAsync((cb) => item.categories.getAsync(cb)).catch(() => []);
+    const have = new Set((current || []).map((c) => String(c.displayName).toLowerCase()));
+    const toAdd = wanted.filter((c) => !have.has(c.displayName.toLowerCase()));
+    if (!toAdd.length) return [];
+    // item.categories.addAsync fails for a name that is not in the master list.
+    if (getVar("category_create_master") === true && Office.context.mailbox.masterCategories) {
+      await ensureMasterCategories(toAdd).catch((e) => log("Creating master categories failed (needs ReadWriteMailbox): " + (e && e.message)));
+    }
+    await officeAsync((cb) => item.categories.addAsync(toAdd.map((c) => c.displayName), cb));
+    const names = toAdd.map((c) => c.displayName);
+    log(`Categories applied: ${names.join(", ")}`);
+    const status = document.getElementById("categoryStatus");
+    if (status) {
+      status.textContent = `Categorised as ${names.join(", ")}.`;
+      status.classList.remove("hidden");
+    }
+    return names;
+  } catch (e) {
+    log("Applying categories failed: " + (e && e.message));
+    return [];
+  }
+}
 
-      if (isRetriableStatus(res.status)) {
-        if (attempt >= maxAttempts) {
-          const txt = await res.text().catch(() => "");
-          throw new Error(`API call failed ${res.status}: ${txt}`);
-        }
-        const delay = baseDelay * Math.pow(2, attempt - 1) + Math.random() * 500;
-        log(`Retriable status ${res.status}, backing off ${Math.round(delay)}ms`);
-        await new Promise(r => setTimeout(r, delay));
-        continue;
-      }
+/* ============================
+   Subject assistant (compose mode)
+   ============================ */
 
-      if (res.status >= 400 && res.status < 500 && !res.ok) {
-        const txt = await res.text().catch(() => "");
-        throw new Error(`API call failed ${res.status}: ${txt}`);
-      }
+/** Fallback instruction when config.json has no subjectPrompt. */
+const DEFAULT_SUBJECT_PROMPT =
+  "You write email subject lines. Propose distinct subject lines for the draft: concise (under 70 characters), " +
+  "specific about what the email is about or asks for, without filler such as \"Quick question\" and without a " +
+  "closing full stop. Write them in the language of the draft. When a ticket reference is given, include it exactly " +
+  "as written. Return JSON with subjects, a list of strings.";
+const DEFAULT_SUBJECT_SUGGESTION_COUNT = 4;
+const MAX_SUBJECT_SUGGESTIONS = 8;
+const SUBJECT_MAX_CHARS = 120;
+/** ServiceNow-style record numbers and "ticket/case/incident 12345". */
+const DEFAULT_TICKET_PATTERN = "\\b(?:INC|REQ|RITM|CHG|PRB|SCTASK)\\d{6,}\\b|\\b(?:ticket|case|incident|request)\\s*(?:no\\.?|number)?\\s*[#:]?\\s*\\d{4,}\\b";
+/** Reply/forward prefixes, kept in front of a new subject so the thread stays together. */
+const SUBJECT_PREFIX_PATTERN = /^(?:\s*(?:re|fw|fwd|aw|wg|sv|vs)\s*:\s*)+/i;
 
-      if (!res.ok) {
-        const txt = await res.text().catch(() => "");
-        throw new Error(`API call failed ${res.status}: ${txt}`);
-      }
+/**
+ * Compose HTML as plain text, keeping line breaks between blocks so quoted history can still be split off.
+ * @param {string} html
+ * @returns {string}
+ */
+function composeHtmlToText(html) {
+  const marked = String(html || "").replace(/<br\s*\/?>/gi, "\n").replace(/<\/(p|div|li|tr|h[1-6]|blockquote)>/gi, "$&\n");
+  return new window.DOMParser().parseFromString(marked, "text/html").body.textContent.replace(/\n{3,}/g, "\n\n").trim();
+}
 
-      const result = await res.json();
-      try { log(`API raw response: ${JSON.stringify(result).slice(0, 2000)}`); } catch (e) { /* ignore stringify error */ }
-      if (result && (result.text || result.functionCall)) return result;
-      const normalized = normalizeModelResult(result);
-      if (!normalized) throw new Error("Invalid response format from API.");
-      return normalized;
-    } catch (err) {
-      if (typeof window !== "undefined" && window.clearTimeout && timerId) window.clearTimeout(timerId);
-      if (err && err.name === "AbortError") {
-        log(`Request aborted (likely timeout). Attempt ${attempt} of ${maxAttempts}.`);
-      }
-      const m = err && err.message ? err.message : String(err);
-      log(`Attempt ${attempt}: error: ${m}`);
-      if (attempt >= maxAttempts) throw new Error(`Failed to call Gemini API after ${maxAttempts} attempts: ${m}`);
-      const backoff = baseDelay * Math.pow(2, attempt - 1) + Math.random() * 500;
-      await new Promise(r => setTimeout(r, backoff));
-    }
+/**
+ * First ticket reference (subject_ticket_pattern or the default) in the given texts, searched in order.
+ * @param {Array<string>} texts
+ * @returns {string} "" when there is none.
+ */
+function findTicketReference(texts) {
+  let re;
+  try { re = new RegExp(getVar("subject_ticket_pattern") || DEFAULT_TICKET_PATTERN, "i"); } catch (e) {
+    log("Invalid subject_ticket_pattern, using default");
+    re = new RegExp(DEFAULT_TICKET_PATTERN, "i");
   }
-
-  throw new Error("callGeminiAPI exhausted retries.");
+  for (const text of texts) {
+    const m = re.exec(String(text || ""));
+    if (m) return m[0].trim();
+  }
+  return "";
 }
 
-/* ============================
-   Legacy custom endpoint
-   ============================ */
+/**
+ * Clean model subject lines: one line, no quotes or "Subject:", the ticket reference added when missing
+ * and the current reply/forward prefix kept. Duplicates are dropped.
+ * @param {any} raw
+ * @param {{prefix:string, ticket:string, count:number}} opts
+ * @returns {Array<string>}
+ */
+function normalizeSubjectSuggestions(raw, { prefix, ticket, count }) {
+  const key = (s) => s.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+  const seen = new Set();
+  const out = [];
+  for (const value of Array.isArray(raw) ? raw : []) {
+    let s = String(value ?? "").split(/\r?\n/)[0].trim()
+      .replace(/^subject\s*:\s*/i, "").replace(/^["'“”]+|["'“”]+$/g, "")
+      .replace(SUBJECT_PREFIX_PATTERN, "").replace(/\s*\.$/, "").trim();
+    if (!s) continue;
+    if (ticket && !key(s).includes(key(ticket))) s = `[${ticket}] ${s}`;
+    s = (prefix + s).slice(0, SUBJECT_MAX_CHARS);
+    if (seen.has(key(s))) continue;
+    seen.add(key(s));
+    out.push(s);
+  }
+  return out.slice(0, count);
+}
 
 /**
- * Call a legacy custom endpoint that returns preformatted analysis/draft.
- * @param {any} userQuery
- * @returns {Promise<any>}
+ * Propose subject lines for the draft being composed, from its body and thread.
+ * @param {Office.Item} item
+ * @returns {Promise<{subjects: Array<string>, ticket: string}>}
  */
-async function callCustomEndpoint(userQuery) {
-  const apiUrl = getVar("customendpoint_url");
-  if (!apiUrl) throw new Error("customendpoint_url not configured.");
-  const payload = { query: userQuery };
-  let attempts = 0, maxAttempts = 5, baseDelay = 1000;
-  while (attempts < maxAttempts) {
-    try {
-      attempts++;
-      const res = await fetchWithTimeout(apiUrl, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(payload) }, REQUEST_TIMEOUT_MS);
-      log(`Attempt ${attempts}: custom endpoint ${res.status}`);
-      if (isRetriableStatus(res.status)) {
-        const delay = baseDelay * Math.pow(2, attempts - 1) + Math.random() * 1000;
-        await new Promise(r => setTimeout(r, delay));
-        continue;
-      }
-      if (!res.ok) {
-        const txt = await res.text();
-        throw new Error(`API call failed ${res.status}: ${txt}`);
-      }
-      const result = await res.json();
-      if (!result) throw new Error("Invalid response format from custom endpoint.");
-      return result;
-    } catch (err) {
-      log(`Attempt ${attempts}: custom endpoint error: ${err && err.message}`);
-      if (attempts >= maxAttempts) throw err;
-    }
+async function suggestSubjects(item) {
+  const current = typeof item.subject?.getAsync === "function" ? String(await officeAsync((cb) => item.subject.getAsync(cb)).catch(() => "") || "") : "";
+  const text = composeHtmlToText(await getCurrentComposeHtml());
+  const { latest, earlier } = getVar("thread_context") === false ? { latest: splitQuotedHistory(text).latest, earlier: [] } : await assembleThread(item, text);
+  if (!String(latest || "").trim()) throw Object.assign(new Error("Write some of the email first, then ask for a subject."), { name: "EmptyDraftError" });
+  const ticket = findTicketReference([current, latest, ...earlier.map((m) => m.body)]);
+  const count = Math.min(MAX_SUBJECT_SUGGESTIONS, Math.floor(getPositiveNumberVar("subject_suggestion_count", DEFAULT_SUBJECT_SUGGESTION_COUNT)));
+  const prefixMatch = SUBJECT_PREFIX_PATTERN.exec(current);
+  const prefix = prefixMatch ? `${prefixMatch[0].trim()} ` : "";
+
+  const prompt = `COUNT: ${count}\nCURRENT_SUBJECT: ${current.replace(SUBJECT_PREFIX_PATTERN, "") || "(none)"}\n` +
+    `TICKET_REFERENCE: ${ticket || "(none)"}\n\nDRAFT:\n${latest}${formatThreadContext(earlier)}`;
+  const schema = { type: "object", properties: { subjects: { type: "array", items: { type: "string" } } }, required: ["subjects"] };
+  const raw = await callGeminiAPI(prompt, getVar("subjectPrompt") || DEFAULT_SUBJECT_PROMPT, { timeoutMs: REQUEST_TIMEOUT_MS, responseSchema: schema });
+  let parsed = null;
+  try {
+    parsed = JSON.parse(String(extractModelText(raw)).replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, ""));
+  } catch (e) {
+    log("suggestSubjects: response was not valid JSON");
   }
+  const subjects = normalizeSubjectSuggestions(parsed?.subjects, { prefix, ticket, count });
+  if (!subjects.length) throw new Error("No subject lines came back.");
+  return { subjects, ticket };
 }
 
-/* ============================
-   Email helpers (openComposeWithHtml RETAINED)
-   ============================ */
+/**
+ * Write a subject into the compose item as one version in the draft history, so Undo restores the old one.
+ * @param {Office.Item} item
+ * @param {string} subject
+ * @returns {Promise<void>}
+ */
+async function applySuggestedSubject(item, subject) {
+  await composeBackupStore.saveBackup();
+  await officeAsync((cb) => item.subject.setAsync(subject, cb));
+  await composeBackupStore.recordVersion(`Subject: ${subject}`);
+  showUndoToast();
+}
 
 /**
- * Get email body text for the given item.
+ * List suggestions as buttons that apply the chosen subject.
  * @param {Office.Item} item
- * @returns {Promise<string>}
+ * @param {Array<string>} subjects
  */
-async function getEmailBody(item) {
-  return new Promise((resolve, reject) => {
-    if (item.body?.getAsync) {
-      item.body.getAsync(Office.CoercionType.Text, (r) => {
-        if (r.status === Office.AsyncResultStatus.Succeeded) resolve(r.value);
-        else reject(r.error);
-      });
-    } else resolve("");
-  });
+function renderSubjectSuggestions(item, subjects) {
+  const list = document.getElementById("subjectSuggestions");
+  const status = document.getElementById("subjectStatus");
+  if (!list) return;
+  list.textContent = "";
+  for (const subject of subjects) {
+    const li = document.createElement("li");
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "ghost";
+    btn.textContent = subject;
+    btn.title = "Use this subject";
+    btn.setAttribute("aria-pressed", "false");
+    btn.addEventListener("click", async () => {
+      try {
+        await applySuggestedSubject(item, subject);
+        list.querySelectorAll("button").forEach((b) => b.setAttribute("aria-pressed", String(b === btn)));
+        if (status) status.textContent = "Subject updated. Use Undo to go back.";
+      } catch (e) {
+        log("Setting subject failed: " + (e && e.message));
+        showError("Could not change the subject.");
+      }
+    });
+    li.appendChild(btn);
+    list.appendChild(li);
+  }
 }
 
 /**
- * Suggest a reply subject derived from item.
+ * Show the Subject assistant for a compose item and wire its button.
  * @param {Office.Item} item
- * @returns {string}
  */
-function getSuggestedSubjectFromItem(item) {
-  try {
-    const s = item?.subject?.toString ? item.subject.toString() : item?.subject || "";
-    return s ? `Re: ${s}` : "Reply";
-  } catch (e) { return "Reply"; }
+function initSubjectAssistant(item) {
+  const card = document.getElementById("subjectAssistant");
+  const btn = document.getElementById("btnSuggestSubjects");
+  if (!card || !btn || typeof item?.subject?.setAsync !== "function") return;
+  card.classList.remove("hidden");
+  btn.addEventListener("click", async () => {
+    const status = document.getElementById("subjectStatus");
+    btn.disabled = true;
+    if (status) status.textContent = "Suggesting subject lines...";
+    try {
+      const { subjects, ticket } = await suggestSubjects(item);
+      renderSubjectSuggestions(item, subjects);
+      if (status) status.textContent = ticket ? `Pick a subject. Ticket ${ticket} is kept in each one.` : "Pick a subject.";
+    } catch (e) {
+      log("Subject suggestions failed: " + (e && e.message));
+      if (status) status.textContent = e && (e.name === "BudgetError" || e.name === "EmptyDraftError") ? e.message : "Could not suggest subject lines. Please try again.";
+    } finally {
+      btn.disabled = false;
+    }
+  });
 }
 
 /* ============================
@@ -772,7 +4664,7 @@ function openComposeWithHtml(originalItem, htmlBody, subject) {
   return new Promise((resolve, reject) => {
     try {
       const item = originalItem || Office?.context?.mailbox?.item || null;
-      const safeHtml = String(htmlBody || "<p></p>");
+      const safeHtml = sanitizeHtml(htmlBody) || "<p></p>";
       const safeSubject = subject || (item && typeof item.subject === "string" ? `Re: ${item.subject}` : "Draft");
 
       // If we have an item and replyAll is supported, prefer replyAll (keeps threading)
@@ -966,17 +4858,114 @@ async function applyAssistantHtmlFromText(assistantText, item) {
   return false;
 }
 
+/* ============================
+   Conversation memory
+   ============================ */
+
+/**
+ * Per-item chat conversations (user and model turns, including function calls and their results).
+ * Only the user's own words are stored; the draft and email context are re-sent with each new turn.
+ * @type {Map<string, Array<ChatTurn>>}
+ */
+const conversationStore = new Map();
+
+/**
+ * Key a conversation by the mail item so switching items does not mix histories.
+ * @param {Office.Item} item
+ * @returns {string}
+ */
+function getConversationKey(item) {
+  return String(item?.itemId || item?.conversationId || "default");
+}
+
+/**
+ * getConversationKey for the item the pane is showing.
+ * @returns {string}
+ */
+function getCurrentItemKey() {
+  return getConversationKey(typeof Office !== "undefined" ? Office.context?.mailbox?.item : null);
+}
+
+/**
+ * Rough token estimate (about four characters per token), good enough for trimming.
+ * @param {any} value
+ * @returns {number}
+ */
+function estimateTokens(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value || "");
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Trim a conversation to at most HISTORY_CAP turns and the configured token budget
+ * (`chat_history_token_budget`), dropping the oldest turns first. The result always starts
+ * with a plain user turn so providers never see an orphaned function response.
+ * @param {Array<ChatTurn>} turns
+ * @param {number} [budget]
+ * @returns {Array<ChatTurn>}
+ */
+function trimConversation(turns, budget = Number(getVar("chat_history_token_budget")) || DEFAULT_HISTORY_TOKEN_BUDGET) {
+  const out = turns.slice(-HISTORY_CAP);
+  let total = out.reduce((n, t) => n + estimateTokens(t.parts), 0);
+  while (out.length && (total > budget || out[0].role !== "user" || out[0].parts.some((p) => p.functionResponse))) {
+    total -= estimateTokens(out.shift().parts);
+  }
+  return out;
+}
+
+/**
+ * Return the stored conversation for an item (oldest turn first).
+ * @param {Office.Item} item
+ * @returns {Array<ChatTurn>}
+ */
+function getConversation(item) {
+  return conversationStore.get(getConversationKey(item)) || [];
+}
+
+/**
+ * Append turns to the item's conversation and re-apply the trimming policy.
+ * @param {Office.Item} item
+ * @param {Array<ChatTurn>} turns
+ */
+function recordTurns(item, turns) {
+  const key = getConversationKey(item);
+  conversationStore.set(key, trimConversation((conversationStore.get(key) || []).concat(turns)));
+}
+
+/**
+ * Forget the current item's conversation and clear the chat bubbles.
+ */
+function resetConversation() {
+  if (sending) return;
+  conversationStore.delete(getConversationKey(Office?.context?.mailbox?.item));
+  const h = document.getElementById("chatHistory");
+  if (h) h.textContent = "";
+  log("Started a new conversation.");
+  document.getElementById("chatInput")?.focus();
+}
+
 /* ============================
    Chat handling with robust fallback
    ============================ */
 
-// Helper to check for editing intent in the user's query
-const EDITING_INTENT_PATTERN = /(change|edit|modify|rewrite|update|remove|add|summarize|alter)/i;
+// Helper to check for editing intent in the user's query. Subject, recipient and note edits need an action
+// verb, so questions such as "Is there an attachment?" or "What is the subject about?" stay questions.
+const EDITING_INTENT_PATTERN = /\b(change|edit|modify|rewrite|update|remove|add|summarize|alter)\b|\b(set|include|put)\b.*\b(subject|cc|bcc|recipients?|note)\b|^\s*b?cc\s+\S+@/i;
 let sending = false;
+/** @type {AbortController|null} */
+let chatAbortController = null;
+
+/**
+ * Abort the in-flight chat request (Stop button).
+ */
+function stopChatQuery() {
+  if (chatAbortController) chatAbortController.abort();
+}
 
 /**
  * Handle chat send and apply function-calls if returned.
  * Includes a robust fallback when model refuses to call the tool.
+ * Text replies stream into the bubble when `chat_streaming` is not false.
  * @returns {Promise<void>}
  */
 async function handleChatQuery() {
@@ -991,7 +4980,13 @@ async function handleChatQuery() {
   input.disabled = true;
   input.value = "";
   appendMessage(userQuery, "user");
+  composeBackupStore.instruction = userQuery;
   const thinkingEl = appendMessage("Thinking...", "ai");
+  if (thinkingEl) thinkingEl.classList.add("loading");
+  const stopBtn = document.getElementById("chatStopBtn");
+  chatAbortController = typeof window !== "undefined" && window.AbortController ? new window.AbortController() : null;
+  if (stopBtn && chatAbortController) stopBtn.classList.remove("hidden");
+  let streamedText = "";
 
   try {
     // 1. Context Gathering:
@@ -1010,7 +5005,7 @@ async function handleChatQuery() {
 
     // The original email body is included as separate CONTEXT, NEVER as the editable draft.
     if (isReadMode) {
-        const emailBody = (await getEmailBody(item)).trim();
+        const emailBody = await getEmailContext(item);
         const name = item.from?.displayName || item.from?.emailAddress || "Sender";
 
         contextPrefix +=
@@ -1024,61 +5019,65 @@ async function handleChatQuery() {
     
     if (intentToEdit) {
         // Strong instruction to suppress conversational text and force tool/draft output
-        specialInstruction = "You have detected an editing request. You MUST respond with a setDraftBody function call or the draft body HTML/JSON wrapped in fences. DO NOT reply with conversational text or apologies. Be concise and execute the task.";
+        specialInstruction = "You have detected an editing request. You MUST respond with the matching function call(s): setDraftBody with the complete HTML body, setSubject, addRecipients or addAttachmentNote. DO NOT reply with conversational text or apologies. Be concise and execute the task.";
     }
 
-    const chatSystemInstruction = getVar("chatSystemPrompt") || editSystemInstruction;
-    const combinedQuery = `${contextPrefix}${userQuery}\n\n${specialInstruction}\n\nYou have access to setDraftBody; return JSON when editing.`;
+    const chatSystemInstruction = buildPersonaInstruction(getVar("chatSystemPrompt") || editSystemInstruction);
+    const fullQuery = `${userQuery}${specialInstruction ? `\n\n${specialInstruction}` : ""}`;
 
-    const raw = await callGeminiAPI(combinedQuery, chatSystemInstruction, { timeoutMs: REQUEST_TIMEOUT_MS });
+    // Declare the tools only for editing requests; general questions keep search grounding.
+    const onToken = getVar("chat_streaming") === false ? undefined : (delta, fullText) => {
+      streamedText = fullText;
+      if (!thinkingEl) return;
+      thinkingEl.classList.remove("loading");
+      thinkingEl.textContent = fullText;
+      const h = document.getElementById("chatHistory");
+      if (h) h.scrollTop = h.scrollHeight;
+    };
+    const raw = await callGeminiAPI(fullQuery, chatSystemInstruction, {
+      timeoutMs: REQUEST_TIMEOUT_MS,
+      context: contextPrefix,
+      allowFunctions: intentToEdit,
+      history: getConversation(item),
+      onToken,
+      signal: chatAbortController?.signal
+    });
+    if (thinkingEl) thinkingEl.classList.remove("loading");
     const normalized = raw && (raw.text || raw.functionCall) ? raw : normalizeModelResult(raw);
     if (!normalized) {
       if (thinkingEl) thinkingEl.textContent = "Error: unexpected assistant response format.";
       return;
     }
 
-    // 3. Handle successful function call (preferred path)
-    if (normalized.functionCall && normalized.functionCall.name === "setDraftBody") {
-      
+    // 3. Handle successful function calls (preferred path)
+    const calls = normalized.functionCalls || (normalized.functionCall ? [normalized.functionCall] : []);
+    if (calls.some((c) => c && Object.prototype.hasOwnProperty.call(TOOL_HANDLERS, c.name))) {
+
       // === CLIENT-SIDE TOOL GUARDRAIL ===
-      if (!intentToEdit) { 
-        log("Ignoring setDraftBody tool call: No editing intent in user query.");
-        delete normalized.functionCall; 
+      if (!intentToEdit) {
+        log("Ignoring tool calls: No editing intent in user query.");
+        delete normalized.functionCall;
+        delete normalized.functionCalls;
       } else {
         // Intent confirmed: proceed with tool execution
-        const args = normalized.functionCall.args || {};
-        const html = args.htmlContent || args.html || args.content || "";
-        if (!html) {
-          if (thinkingEl) thinkingEl.textContent = "Assistant attempted to modify draft but returned no content.";
-        } else {
-          try {
-            await applyComposeHtml(html, { createBackup: true });
-            draft = html; // CRITICAL: Update global draft state
-            if (thinkingEl) thinkingEl.textContent = "Draft updated in compose window.";
-            showUndoToast();
-          } catch (e) {
-            // FALLBACK RETAINED: Open in new compose window if setAsync fails
-            log("applyComposeHtml failed; falling back to openComposeWithHtml: " + (e && e.message));
-            draft = html;
-            const cleaned = sanitizeHtml(html);
-            try {
-              const item = Office?.context?.mailbox?.item;
-              if (item) openComposeWithHtml(item, cleaned, getSuggestedSubjectFromItem(item));
-              if (thinkingEl) thinkingEl.textContent = "Draft created (fallback). Opening compose window...";
-              showUndoToast();
-            } catch (openErr) {
-              log("Fallback openComposeWithHtml failed: " + (openErr && openErr.message));
-              if (thinkingEl) thinkingEl.textContent = "Failed to apply draft. See console.";
-            }
-          }
-        }
-        return; 
+        const results = await runToolCalls(calls, item);
+        if (thinkingEl) thinkingEl.textContent = results.map((r) => r.message).join(" ") || "Failed to apply draft. See console.";
+        recordTurns(item, [
+          { role: "user", parts: [{ text: userQuery }] },
+          { role: "model", parts: results.map((r) => ({ functionCall: { name: r.name, args: r.args } })) },
+          { role: "user", parts: results.map((r) => ({ functionResponse: { name: r.name, response: { ok: r.ok, result: r.message } } })) }
+        ]);
+        return;
       }
     }
 
     // 4. Robust Fallback: Model returned text (or tool call was ignored)
     let textFallback = extractModelText(normalized) || "";
     if (textFallback) {
+      recordTurns(item, [
+        { role: "user", parts: [{ text: userQuery }] },
+        { role: "model", parts: [{ text: textFallback }] }
+      ]);
         
       if (intentToEdit) {
           
@@ -1149,10 +5148,24 @@ async function handleChatQuery() {
     }
 
   } catch (err) {
-    const history = document.getElementById("chatHistory");
-    if (history?.lastChild) history.lastChild.textContent = "Error: Could not connect to the assistant.";
-    console.error("Chat API error:", err);
+    if (thinkingEl) thinkingEl.classList.remove("loading");
+    if (err && err.stopped) {
+      // Keep whatever already streamed so the conversation still reflects it.
+      if (thinkingEl) thinkingEl.textContent = streamedText ? `${streamedText.trimEnd()} [stopped]` : "Stopped.";
+      if (streamedText) {
+        recordTurns(Office?.context?.mailbox?.item, [
+          { role: "user", parts: [{ text: userQuery }] },
+          { role: "model", parts: [{ text: streamedText }] }
+        ]);
+      }
+    } else {
+      const history = document.getElementById("chatHistory");
+      if (history?.lastChild) history.lastChild.textContent = err && err.name === "BudgetError" ? err.message : "Error: Could not connect to the assistant.";
+      console.error("Chat API error:", err);
+    }
   } finally {
+    chatAbortController = null;
+    if (stopBtn) stopBtn.classList.add("hidden");
     sending = false;
     sendBtn.disabled = false;
     input.disabled = false;
@@ -1167,6 +5180,7 @@ async function handleChatQuery() {
    ============================ */
 
 (function ensureChatUiExistsAndWireSafely() {
+  if (!IS_TASK_PANE) return;
   try {
     if (!document.getElementById("chatContent")) {
       const container = document.createElement("div");
@@ -1197,6 +5211,17 @@ async function handleChatQuery() {
     }
     const sendBtn = document.getElementById("chatSendBtn");
     if (sendBtn) { sendBtn.removeEventListener("click", handleChatQuery); sendBtn.addEventListener("click", handleChatQuery); }
+    document.getElementById("chatNewBtn")?.addEventListener("click", resetConversation);
+    document.getElementById("chatStopBtn")?.addEventListener("click", stopChatQuery);
+    document.getElementById("draftUndoBtn")?.addEventListener("click", async () => { if (!(await composeBackupStore.restoreBackup())) showError("Nothing to undo."); });
+    document.getElementById("draftRedoBtn")?.addEventListener("click", async () => { if (!(await composeBackupStore.redo())) showError("Nothing to redo."); });
+    document.getElementById("versionToggleBtn")?.addEventListener("click", (e) => {
+      const list = document.getElementById("versionList");
+      if (!list) return;
+      const show = list.classList.toggle("hidden") === false;
+      e.currentTarget.setAttribute("aria-expanded", String(show));
+      if (show) renderVersionHistory();
+    });
     const input = document.getElementById("chatInput");
     if (input) input.addEventListener("keydown", (e) => { if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); handleChatQuery(); } });
   } catch (e) { console.warn("Fail-safe bootstrap failed", e); }
@@ -1206,7 +5231,7 @@ async function handleChatQuery() {
    DOMContent loaded wiring
    ============================ */
 
-document.addEventListener("DOMContentLoaded", () => {
+if (IS_TASK_PANE) document.addEventListener("DOMContentLoaded", () => {
   try { registerThemeChangeHandler(); } catch (e) { /* ignore error */ }
   const btnQuickReply = document.getElementById("btnQuickReply"); if (btnQuickReply) btnQuickReply.disabled = true;
   const infoBtn = document.querySelector(".infoBtn");
@@ -1223,15 +5248,28 @@ document.addEventListener("DOMContentLoaded", () => {
  * @param {Office.OnReadyInfo} info
  */
 Office.onReady(async (info) => {
+  if (!IS_TASK_PANE) return;
   log("Office.js ready");
-  try { await loadConfig("config/config.json"); log("Config loaded"); } catch (e) { console.warn("Config load failed", e); }
+  try { await loadConfig("config/config.json"); log("Config loaded"); } catch (e) {
+    console.warn("Config load failed", e);
+    if (e && e.name === "ConfigError") {
+      renderConfigProblems(e.problems);
+      document.getElementById("sentimentContent")?.classList.add("hidden");
+      document.getElementById("btnQuickReply")?.setAttribute("disabled", "true");
+      document.getElementById("chatSendBtn")?.setAttribute("disabled", "true");
+      return;
+    }
+  }
+  renderConfigProblems(configProblems);
+  userSettingsStore.load();
+  initPersonaSelector();
+  initSettingsPanel();
+  initReplyLanguagePicker();
+  renderUsageReadout();
   if (info) log(`Host: ${info.host}, Platform: ${info.platform}`);
   try { const theme = Office.context.officeTheme; if (theme) applyOfficeThemeVars(theme); } catch (e) { /* ignore theme apply error */ }
 
   const item = Office.context?.mailbox?.item;
-  const sentimentPrompt = getVar("sentimentPrompt");
-  const urgencyPrompt = getVar("urgencyPrompt");
-  const intentionPrompt = getVar("intentionPrompt");
   const customEndpointUrl = getVar("customendpoint_url");
 
   if (!item) {
@@ -1250,68 +5288,47 @@ Office.onReady(async (info) => {
     log("READ mode");
     document.getElementById("sentimentContent")?.classList.remove("hidden");
     const quickBtn = document.getElementById("btnQuickReply"); if (quickBtn) quickBtn.disabled = false;
-    const emailBody = (await getEmailBody(item)).trim();
-    const rc = document.getElementById("responseContainer"); if (rc) rc.innerHTML = "Analyzing email content, please wait...";
+    const emailBody = await getEmailContext(item);
+    renderAttachmentList(await getAttachmentContext(item));
     let name = ""; if (item.from) name = item.from.displayName || item.from.emailAddress || "";
 
-    try {
-      if (customEndpointUrl !== "") {
-        const q = { fromEmailAddress: name, subject: item.subject || "Unknown", body: emailBody };
-        const r = await callCustomEndpoint(q);
-        log(`Custom endpoint response: ${JSON.stringify(r)}`);
-        const sentiment = r?.response?.metadata?.email_sentiment ?? "Unknown";
-        const urgency = r?.response?.metadata?.email_urgency ?? "Unknown";
-        const intention = r?.response?.metadata?.email_intention ?? "Unknown";
-        draft = removeHtmlFences(r?.response?.answer?.email_draft ?? "");
-        if (rc) rc.innerHTML = "Analysis complete. Click Quick Reply to generate a draft.";
-        if (typeof window !== "undefined" && typeof window.setMetaData === "function") window.setMetaData(sentiment, urgency, intention);
-        else setMetaDataLocal(sentiment, urgency, intention);
-      } else {
-        let sentiment = "Unknown", urgency = "Unknown", intention = "Unknown";
-        try {
-          const prompt = `From: ${name}\nBody: ${emailBody}`;
-          const raw = await callGeminiAPI(prompt, sentimentPrompt, { timeoutMs: REQUEST_TIMEOUT_MS });
-          sentiment = extractModelText(raw) || "Unknown"; log(`Sentiment: ${sentiment}`);
-        } catch (e) { log("Sentiment analysis failed: " + (e && e.message)); }
-        try {
-          const prompt = `From: ${name}\nBody: ${emailBody}`;
-          const raw = await callGeminiAPI(prompt, urgencyPrompt, { timeoutMs: REQUEST_TIMEOUT_MS });
-          urgency = extractModelText(raw) || "Unknown"; log(`Urgency: ${urgency}`);
-        } catch (e) { log("Urgency analysis failed: " + (e && e.message)); }
-        try {
-          const prompt = `From: ${name}\nBody: ${emailBody}`;
-          const raw = await callGeminiAPI(prompt, intentionPrompt, { timeoutMs: REQUEST_TIMEOUT_MS });
-          intention = extractModelText(raw) || "Unknown"; log(`Intention: ${intention}`);
-        } catch (e) { log("Intention analysis failed: " + (e && e.message)); }
-        if (rc) rc.innerHTML = "Analysis complete. Click Quick Reply to generate a draft.";
-        if (typeof window !== "undefined" && typeof window.setMetaData === "function") window.setMetaData(sentiment, urgency, intention);
-        else setMetaDataLocal(sentiment, urgency, intention);
-      }
-    } catch (e) {
-      log("Error calling endpoint: " + (e && e.message));
-      console.error("Error calling endpoint", e);
-      showError("Analysis failed. See console for details.");
+    initActionsCard(item);
+    await runReadAnalysis(item, name, emailBody);
+    initTranslateButton(item);
+
+    const reanalyseBtn = document.getElementById("btnReanalyse");
+    if (reanalyseBtn) {
+      reanalyseBtn.classList.remove("hidden");
+      reanalyseBtn.addEventListener("click", async () => {
+        reanalyseBtn.disabled = true;
+        try { await runReadAnalysis(item, name, emailBody, { force: true }); } finally { reanalyseBtn.disabled = false; }
+      });
     }
 
     const quickReplyBtn = document.getElementById("btnQuickReply");
     if (quickReplyBtn) {
       quickReplyBtn.addEventListener("click", async () => {
         quickReplyBtn.disabled = true;
+        composeBackupStore.instruction = "Quick Reply";
         const rc2 = document.getElementById("responseContainer"); if (rc2) rc2.textContent = "Generating draft...";
         try {
           const currentComposeHtml = await getCurrentComposeHtml();
           const currentDraftHtml = currentComposeHtml || draft || "";
           if (customEndpointUrl === "") {
-            const userRequest = getVar("quickReplyUserInstruction") || "Generate a concise, professional reply based on the message above.";
-            const prompt =
-              `You have access to setDraftBody. CURRENT_DRAFT_HTML:\n${currentDraftHtml}\n\nINCOMING_EMAIL_FROM: ${name}\nINCOMING_EMAIL_BODY:\n${emailBody}\n\nUSER_INSTRUCTION:\n${userRequest}\n\nReturn ONLY the JSON object when editing as described in the system instruction.`;
+            const persona = getActivePersona();
+            const userRequest = persona?.replyInstruction || getVar("quickReplyUserInstruction") || "Generate a concise, professional reply based on the message above.";
+            const context = `CURRENT_DRAFT_HTML:\n${currentDraftHtml}\n\nINCOMING_EMAIL_FROM: ${name}\nINCOMING_EMAIL_BODY:\n${emailBody}\n\n`;
+            const prompt = `USER_INSTRUCTION:\n${userRequest}\n\nCall setDraftBody with the complete reply as HTML.`;
 
-            const result = await callGeminiAPI(prompt, editSystemInstruction, { timeoutMs: REQUEST_TIMEOUT_MS, allowFunctions: true });
+            const result = await callGeminiAPI(prompt, buildPersonaInstruction(editSystemInstruction, persona), { timeoutMs: REQUEST_TIMEOUT_MS, allowFunctions: true, forceFunction: "setDraftBody", context });
             const normalized = result && (result.text || result.functionCall) ? result : normalizeModelResult(result);
 
             if (normalized?.functionCall && normalized.functionCall.name === "setDraftBody") {
               const html = normalized.functionCall.args?.htmlContent || normalized.functionCall.args?.html || "";
-              if (html) {
+              if (html && getVar("quick_reply_auto_insert") === false) {
+                draft = html;
+                showQuickReplyPreview(item, html);
+              } else if (html) {
                 try {
                   await applyComposeHtml(html, { createBackup: true });
                   draft = html;
@@ -1391,7 +5408,7 @@ Office.onReady(async (info) => {
           draft = "<html><body><p>Error generating draft. Please try again.</p></body></html>";
           log("Error generating draft: " + (err && err.message));
           console.error("Error generating draft", err);
-          if (document.getElementById("responseContainer")) document.getElementById("responseContainer").textContent = "Error generating draft. Please try again.";
+          if (document.getElementById("responseContainer")) document.getElementById("responseContainer").textContent = err && err.name === "BudgetError" ? err.message : "Error generating draft. Please try again.";
         } finally {
           quickReplyBtn.disabled = false;
         }
@@ -1399,8 +5416,10 @@ Office.onReady(async (info) => {
     }
   } else if (isComposeMode) {
     log("COMPOSE mode");
+    await composeBackupStore.resolveItemKey(item);
     document.getElementById("sentimentContent")?.classList.add("hidden");
     document.getElementById("btnQuickReply")?.setAttribute("disabled","true");
+    initSubjectAssistant(item);
     const rc = document.getElementById("responseContainer"); if (rc) rc.innerHTML = "Use the chat panel to modify the draft.";
   } else {
     log("Unsupported mode");
@@ -1434,6 +5453,39 @@ function registerThemeChangeHandler() {
   } catch (e) { console.warn("registerThemeChangeHandler not available", e); }
 }
 
+/**
+ * Show a Quick Reply draft in the pane with a button to use it (`quick_reply_auto_insert: false`).
+ * @param {Office.Item} item
+ * @param {string} html
+ */
+function showQuickReplyPreview(item, html) {
+  const rc = document.getElementById("responseContainer");
+  if (!rc) return;
+  const safeHtml = sanitizeHtml(html);
+  rc.textContent = "";
+  rc.classList.remove("error");
+  const preview = document.createElement("div");
+  preview.className = "reply-preview";
+  preview.innerHTML = safeHtml;
+  const useBtn = document.createElement("button");
+  useBtn.type = "button";
+  useBtn.className = "primary";
+  useBtn.textContent = "Use this draft";
+  useBtn.addEventListener("click", async () => {
+    useBtn.disabled = true;
+    try {
+      await applyComposeHtml(safeHtml, { createBackup: true });
+      rc.textContent = "Draft inserted into compose window.";
+      showUndoToast();
+    } catch (e) {
+      log("applyComposeHtml failed for previewed draft; opening compose: " + (e && e.message));
+      openComposeWithHtml(item, safeHtml, getSuggestedSubjectFromItem(item));
+      rc.textContent = "Opening compose window...";
+    }
+  });
+  rc.append(preview, useBtn);
+}
+
 /**
  * Show undo toast after automatic draft update.
  */
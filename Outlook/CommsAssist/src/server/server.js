@@ -0,0 +1,436 @@
+/**
+ * server.js — CommsAssist generation proxy
+ * - Serves the built add-in (dist/public) so the Tomcat image is optional.
+ * - Implements POST /api/gen (DEFAULT_PROXY_ENDPOINT in pane.js).
+ * - Holds provider credentials server-side; the pane never sees the API key.
+ * - Forwards the payload pane.js builds (contents/tools/systemInstruction for Gemini,
+ *   messages for OpenAI-compatible providers) upstream and returns the raw provider
+ *   response so the pane's provider adapters keep working.
+ * - The upstream is chosen by the X-CommsAssist-Provider header (default: gemini).
+ * - Calls to /api/gen are rate limited per client address and, optionally, in total.
+ * - X-CommsAssist-Stream: true selects the streaming upstream and relays it chunk by chunk.
+ *
+ * Configuration is taken from environment variables only (see README).
+ */
+
+import fs from "node:fs";
+import http from "node:http";
+import https from "node:https";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+/* ============================
+   Config / Constants
+   ============================ */
+
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+const DEFAULT_PORT = 3000;
+const DEFAULT_STATIC_DIR = path.join(PROJECT_ROOT, "dist", "public");
+const DEFAULT_GEMINI_ENDPOINT = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=";
+const DEFAULT_OPENAI_ENDPOINT = "https://api.openai.com/v1/chat/completions";
+const DEFAULT_OPENAI_MODEL = "gpt-4o-mini";
+const DEFAULT_PROVIDER = "gemini";
+const PROVIDER_HEADER = "x-commsassist-provider";
+const STREAM_HEADER = "x-commsassist-stream";
+const DEFAULT_UPSTREAM_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_BODY_BYTES = 2 * 1024 * 1024;
+const GEN_ROUTE = "/api/gen";
+const DEFAULT_RATE_LIMIT = 30;
+const DEFAULT_RATE_WINDOW_MS = 60000;
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * Top-level Gemini payload keys pane.js may send. Anything else is rejected rather than forwarded.
+ * @type {Set<string>}
+ */
+const ALLOWED_PAYLOAD_KEYS = new Set([
+  "contents",
+  "tools",
+  "toolConfig",
+  "systemInstruction",
+  "generationConfig",
+  "safetySettings"
+]);
+
+/**
+ * Top-level chat payload keys for the OpenAI-compatible adapters (openai, azure, ollama).
+ * @type {Set<string>}
+ */
+const ALLOWED_CHAT_PAYLOAD_KEYS = new Set([
+  "model",
+  "messages",
+  "tools",
+  "tool_choice",
+  "temperature",
+  "max_tokens",
+  "response_format",
+  "stream",
+  "stream_options",
+  "format",
+  "options"
+]);
+
+/** @type {Record<string, string>} */
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon"
+};
+
+/* ============================
+   Utilities
+   ============================ */
+
+/**
+ * Small logger so the proxy output matches the pane's [DEBUG] prefix style.
+ * @param {string} msg
+ */
+function log(msg) {
+  console.log(`[PROXY] ${msg}`);
+}
+
+/**
+ * @typedef {Object} Upstream
+ * @property {boolean} configured
+ * @property {string} url
+ * @property {string} [streamUrl] Streaming URL when it differs from url (Gemini).
+ * @property {Object<string,string>} headers
+ * @property {"gemini"|"chat"} format Payload family used for validation.
+ * @property {string} [model] Model forced onto every request, whatever the pane asked for.
+ */
+
+/**
+ * Read proxy settings from the environment.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {{port:number, host:string, staticDir:string, upstreams:Object<string, Upstream>, timeoutMs:number, maxBodyBytes:number, tlsKeyFile:string, tlsCertFile:string, allowedOrigins:Array<string>, rateLimit:number, rateLimitTotal:number, rateWindowMs:number, trustForwardedFor:boolean}}
+ */
+export function readSettings(env = process.env) {
+  const googleKey = env.GOOGLE_API_KEY || "";
+  const openaiKey = env.OPENAI_API_KEY || "";
+  const azureKey = env.AZURE_OPENAI_API_KEY || "";
+  const azureUrl = env.AZURE_OPENAI_ENDPOINT_URL || "";
+  const ollamaUrl = env.OLLAMA_ENDPOINT_URL || "";
+  return {
+    port: Number(env.PORT || DEFAULT_PORT),
+    host: env.HOST || "0.0.0.0",
+    staticDir: path.resolve(env.STATIC_DIR || DEFAULT_STATIC_DIR),
+    upstreams: {
+      gemini: {
+        configured: Boolean(googleKey),
+        url: `${env.GEMINI_ENDPOINT_URL || DEFAULT_GEMINI_ENDPOINT}${googleKey}`,
+        streamUrl: `${(env.GEMINI_ENDPOINT_URL || DEFAULT_GEMINI_ENDPOINT).replace(":generateContent?", ":streamGenerateContent?alt=sse&")}${googleKey}`,
+        headers: {},
+        format: "gemini"
+      },
+      openai: {
+        configured: Boolean(openaiKey),
+        url: env.OPENAI_ENDPOINT_URL || DEFAULT_OPENAI_ENDPOINT,
+        headers: { Authorization: `Bearer ${openaiKey}` },
+        format: "chat",
+        model: env.OPENAI_MODEL || DEFAULT_OPENAI_MODEL
+      },
+      azure: {
+        configured: Boolean(azureKey && azureUrl),
+        url: azureUrl,
+        headers: { "api-key": azureKey },
+        format: "chat"
+      },
+      ollama: {
+        configured: Boolean(ollamaUrl),
+        url: ollamaUrl,
+        headers: {},
+        format: "chat"
+      }
+    },
+    timeoutMs: Number(env.PROXY_TIMEOUT_MS || DEFAULT_UPSTREAM_TIMEOUT_MS),
+    maxBodyBytes: Number(env.PROXY_MAX_BODY_BYTES || DEFAULT_MAX_BODY_BYTES),
+    tlsKeyFile: env.TLS_KEY_FILE || "",
+    tlsCertFile: env.TLS_CERT_FILE || "",
+    allowedOrigins: String(env.PROXY_ALLOWED_ORIGINS || "").split(",").map((o) => o.trim().replace(/\/+$/, "").toLowerCase()).filter(Boolean),
+    rateLimit: Number(env.PROXY_RATE_LIMIT ?? DEFAULT_RATE_LIMIT),
+    rateLimitTotal: Number(env.PROXY_RATE_LIMIT_TOTAL || 0),
+    rateWindowMs: Number(env.PROXY_RATE_WINDOW_MS || DEFAULT_RATE_WINDOW_MS),
+    trustForwardedFor: env.PROXY_TRUST_FORWARDED_FOR === "true"
+  };
+}
+
+/**
+ * Send a JSON response.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {any} body
+ */
+function sendJson(res, status, body) {
+  const data = JSON.stringify(body);
+  res.writeHead(status, { "Content-Type": CONTENT_TYPES[".json"], "Content-Length": Buffer.byteLength(data) });
+  res.end(data);
+}
+
+/**
+ * Collect the request body, rejecting anything larger than maxBytes. On overflow the rest of the
+ * body is discarded rather than the socket destroyed, so the caller can still send its 413.
+ * @param {http.IncomingMessage} req
+ * @param {number} maxBytes
+ * @returns {Promise<string>}
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.off("data", onData);
+        req.resume();
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on("data", onData);
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Whether a /api/gen caller came from an allowed page: the Origin must be one of
+ * PROXY_ALLOWED_ORIGINS (default: the proxy's own origin, i.e. the add-in it serves).
+ * This only stops other web pages from using the proxy from a browser. It is not authentication:
+ * a client outside a browser can send any Origin and Host it likes, which is why /api/gen is
+ * also rate limited.
+ * @param {http.IncomingMessage} req
+ * @param {ReturnType<typeof readSettings>} settings
+ * @returns {string|null} Why the request is refused, or null when it is allowed.
+ */
+export function checkCaller(req, settings) {
+  const origin = String(req.headers.origin || "").replace(/\/+$/, "").toLowerCase();
+  if (!origin) return "Missing Origin header.";
+  const allowed = settings.allowedOrigins.length
+    ? settings.allowedOrigins.includes(origin)
+    : (() => { try { return new URL(origin).host === String(req.headers.host || "").toLowerCase(); } catch (e) { return false; } })();
+  if (!allowed) return `Origin not allowed: ${origin}`;
+  return null;
+}
+
+/**
+ * Fixed-window request counter keyed by client.
+ * @param {number} limit Requests allowed per window; 0 turns the limit off.
+ * @param {number} windowMs
+ * @param {() => number} [now]
+ * @returns {(key: string) => number} Seconds until the key may retry, or 0 when the request is allowed.
+ */
+export function createRateLimiter(limit, windowMs, now = Date.now) {
+  /** @type {Map<string, {start:number, count:number}>} */
+  const windows = new Map();
+  return (key) => {
+    if (!limit) return 0;
+    const t = now();
+    if (windows.size > MAX_TRACKED_CLIENTS) {
+      for (const [k, w] of windows) if (t - w.start >= windowMs) windows.delete(k);
+    }
+    let w = windows.get(key);
+    if (!w || t - w.start >= windowMs) {
+      w = { start: t, count: 0 };
+      windows.set(key, w);
+    }
+    w.count += 1;
+    return w.count > limit ? Math.max(1, Math.ceil((w.start + windowMs - t) / 1000)) : 0;
+  };
+}
+
+/**
+ * Address used as the rate-limit key. Behind a load balancer (e.g. Cloud Run) every request
+ * arrives from the balancer, so PROXY_TRUST_FORWARDED_FOR=true switches to the last
+ * X-Forwarded-For entry, which is the one the balancer appended.
+ * @param {http.IncomingMessage} req
+ * @param {ReturnType<typeof readSettings>} settings
+ * @returns {string}
+ */
+function clientAddress(req, settings) {
+  if (settings.trustForwardedFor && req.headers["x-forwarded-for"]) {
+    const hops = String(req.headers["x-forwarded-for"]).split(",").map((h) => h.trim()).filter(Boolean);
+    if (hops.length) return hops[hops.length - 1];
+  }
+  return req.socket.remoteAddress || "";
+}
+
+/**
+ * Validate the generation payload built by a pane.js provider adapter.
+ * Returns an error message or null when the payload is acceptable.
+ * @param {any} payload
+ * @param {"gemini"|"chat"} [format]
+ * @returns {string|null}
+ */
+export function validatePayload(payload, format = "gemini") {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) return "Payload must be a JSON object.";
+  const listKey = format === "chat" ? "messages" : "contents";
+  const allowed = format === "chat" ? ALLOWED_CHAT_PAYLOAD_KEYS : ALLOWED_PAYLOAD_KEYS;
+  if (!Array.isArray(payload[listKey]) || payload[listKey].length === 0) return `Payload must include a non-empty ${listKey} array.`;
+  for (const k of Object.keys(payload)) {
+    if (!allowed.has(k)) return `Unsupported payload key: ${k}`;
+  }
+  return null;
+}
+
+/* ============================
+   /api/gen
+   ============================ */
+
+/**
+ * Forward a generation request upstream and relay the raw response.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {ReturnType<typeof readSettings>} settings
+ * @param {{perClient:(key: string) => number, total:(key: string) => number}} limiters
+ * @returns {Promise<void>}
+ */
+async function handleGenerate(req, res, settings, limiters) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return sendJson(res, 405, { error: "Method not allowed." });
+  }
+  const refused = checkCaller(req, settings);
+  if (refused) {
+    log(`${GEN_ROUTE} refused: ${refused}`);
+    return sendJson(res, 403, { error: "Forbidden." });
+  }
+  const client = clientAddress(req, settings);
+  const retryAfter = limiters.perClient(client) || limiters.total("*");
+  if (retryAfter) {
+    log(`${GEN_ROUTE} rate limited: ${client}`);
+    res.setHeader("Retry-After", String(retryAfter));
+    return sendJson(res, 429, { error: "Too many requests." });
+  }
+  const provider = String(req.headers[PROVIDER_HEADER] || DEFAULT_PROVIDER).trim().toLowerCase();
+  const upstreamConfig = Object.prototype.hasOwnProperty.call(settings.upstreams, provider) ? settings.upstreams[provider] : null;
+  if (!upstreamConfig) return sendJson(res, 400, { error: `Unknown provider: ${provider}` });
+  if (!upstreamConfig.configured) return sendJson(res, 503, { error: `Proxy is not configured for provider: ${provider}` });
+
+  let payload;
+  try {
+    payload = JSON.parse(await readBody(req, settings.maxBodyBytes));
+  } catch (e) {
+    // Close the connection once the 413 is written; the rest of the oversized body is not wanted.
+    if (e.status === 413) { res.setHeader("Connection", "close"); res.on("finish", () => req.destroy()); }
+    return sendJson(res, e.status || 400, { error: e.status ? e.message : "Invalid JSON body." });
+  }
+  const invalid = validatePayload(payload, upstreamConfig.format);
+  if (invalid) return sendJson(res, 400, { error: invalid });
+  if (upstreamConfig.model) payload.model = upstreamConfig.model;
+
+  const stream = String(req.headers[STREAM_HEADER] || "").toLowerCase() === "true";
+  const AC = new AbortController();
+  const timerId = setTimeout(() => AC.abort(), settings.timeoutMs);
+  // Stop talking to the upstream when the pane goes away (e.g. the user pressed Stop).
+  res.on("close", () => { if (!res.writableFinished) AC.abort(); });
+  try {
+    const upstream = await fetch(stream && upstreamConfig.streamUrl ? upstreamConfig.streamUrl : upstreamConfig.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...upstreamConfig.headers },
+      body: JSON.stringify(payload),
+      signal: AC.signal
+    });
+    log(`${GEN_ROUTE} ${provider} upstream status ${upstream.status}${stream ? " (stream)" : ""}`);
+    const contentType = upstream.headers.get("content-type") || CONTENT_TYPES[".json"];
+    if (stream && upstream.ok && upstream.body) {
+      // The timeout covers the wait for headers only; a stream may legitimately run longer.
+      clearTimeout(timerId);
+      res.writeHead(upstream.status, { "Content-Type": contentType, "Cache-Control": "no-cache" });
+      for await (const chunk of upstream.body) res.write(chunk);
+      res.end();
+      return;
+    }
+    const text = await upstream.text();
+    res.writeHead(upstream.status, { "Content-Type": contentType });
+    res.end(text);
+  } catch (err) {
+    const timedOut = err && err.name === "AbortError";
+    log(`${GEN_ROUTE} ${provider} upstream error: ${err && err.message}`);
+    if (res.headersSent) res.end();
+    else sendJson(res, timedOut ? 504 : 502, { error: timedOut ? "Upstream request timed out." : "Upstream request failed." });
+  } finally {
+    clearTimeout(timerId);
+  }
+}
+
+/* ============================
+   Static files
+   ============================ */
+
+/**
+ * Serve a file from the static directory; "/" maps to pane.html.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} pathname
+ * @param {string} staticDir
+ */
+function serveStatic(req, res, pathname, staticDir) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.setHeader("Allow", "GET, HEAD");
+    return sendJson(res, 405, { error: "Method not allowed." });
+  }
+  let rel;
+  try { rel = decodeURIComponent(pathname === "/" ? "/pane.html" : pathname); } catch (e) { return sendJson(res, 400, { error: "Bad path." }); }
+  const filePath = path.resolve(staticDir, "." + rel);
+  if (filePath !== staticDir && !filePath.startsWith(staticDir + path.sep)) return sendJson(res, 403, { error: "Forbidden." });
+
+  fs.stat(filePath, (err, stat) => {
+    if (err || !stat.isFile()) return sendJson(res, 404, { error: "Not found." });
+    res.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream",
+      "Content-Length": stat.size,
+      "Cache-Control": "no-cache"
+    });
+    if (req.method === "HEAD") return res.end();
+    fs.createReadStream(filePath).pipe(res);
+  });
+}
+
+/* ============================
+   Server
+   ============================ */
+
+/**
+ * Create the proxy server (HTTPS when TLS files are configured, otherwise HTTP).
+ * @param {ReturnType<typeof readSettings>} [settings]
+ * @returns {http.Server}
+ */
+export function createProxyServer(settings = readSettings()) {
+  const limiters = {
+    perClient: createRateLimiter(settings.rateLimit, settings.rateWindowMs),
+    total: createRateLimiter(settings.rateLimitTotal, settings.rateWindowMs)
+  };
+  const handler = (req, res) => {
+    const { pathname } = new URL(req.url || "/", "http://localhost");
+    if (pathname === GEN_ROUTE) {
+      handleGenerate(req, res, settings, limiters).catch((err) => {
+        log(`${GEN_ROUTE} failed: ${err && err.message}`);
+        if (!res.headersSent) sendJson(res, 500, { error: "Internal error." });
+      });
+      return;
+    }
+    serveStatic(req, res, pathname, settings.staticDir);
+  };
+  if (settings.tlsKeyFile && settings.tlsCertFile) {
+    return https.createServer({ key: fs.readFileSync(settings.tlsKeyFile), cert: fs.readFileSync(settings.tlsCertFile) }, handler);
+  }
+  return http.createServer(handler);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const settings = readSettings();
+  const configured = Object.keys(settings.upstreams).filter((k) => settings.upstreams[k].configured);
+  if (configured.length === 0) log("No provider credentials are set; /api/gen will return 503.");
+  else log(`Configured providers: ${configured.join(", ")}`);
+  createProxyServer(settings).listen(settings.port, settings.host, () => {
+    log(`Serving ${settings.staticDir} and ${GEN_ROUTE} on port ${settings.port}`);
+  });
+}
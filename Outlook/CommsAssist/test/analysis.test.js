@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadPane } from "./helpers/load-pane.js";
+
+/** Read-mode sandbox whose analyzeEmail fails with the given error. */
+function loadFailingAnalysis(error) {
+  const pane = loadPane({ config: { customendpoint_url: "" } });
+  pane.context.__error = error;
+  pane.run("analyzeEmail = async () => { throw Object.assign(new Error(__error.message), { name: __error.name }); }");
+  pane.run("var rendered = 0; renderAnalysis = () => { rendered += 1; }");
+  return pane;
+}
+
+test("runReadAnalysis shows the budget message and renders nothing when the budget refuses", async () => {
+  const pane = loadFailingAnalysis({ name: "BudgetError", message: "The session token budget (1,000 tokens) is used up." });
+  await pane.call("runReadAnalysis", { itemId: "m1" }, "Sam", "Hello");
+  assert.equal(pane.run("document.getElementById('responseContainer').textContent"), "The session token budget (1,000 tokens) is used up.");
+  assert.equal(pane.run("rendered"), 0);
+  assert.equal(await pane.call("analysisCacheStore.get", "m1"), null);
+});
+
+test("runReadAnalysis reports a failed request instead of saying the analysis is complete", async () => {
+  const pane = loadFailingAnalysis({ name: "TypeError", message: "Failed to fetch" });
+  await pane.call("runReadAnalysis", { itemId: "m2" }, "Sam", "Hello");
+  assert.equal(pane.run("document.getElementById('responseContainer').textContent"), "Analysis failed. Click Re-analyse to try again.");
+  assert.equal(pane.run("rendered"), 0);
+});
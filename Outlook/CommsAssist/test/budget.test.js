@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadPane } from "./helpers/load-pane.js";
+
+/** Sandbox with a session budget that leaves about 1,000 tokens for the request. */
+function loadBudgetPane(action = "truncate") {
+  return loadPane({ config: { session_token_budget: 2100, session_budget_action: action } });
+}
+
+test("applySessionBudget keeps the request and cuts the context when truncating", async () => {
+  const pane = loadBudgetPane();
+  const question = "USER_INSTRUCTION:\nMake it shorter.";
+  const { userQuery } = await pane.call("applySessionBudget", question, "sys", undefined, `CURRENT_DRAFT_HTML:\n${"x".repeat(8000)}\n\n`);
+  assert.ok(userQuery.endsWith(question));
+  assert.match(userQuery, /\[Truncated to fit the session token budget\.\]/);
+  assert.ok(await pane.call("estimateTokens", userQuery) <= 2100 - 1024 - 1);
+});
+
+test("applySessionBudget cuts the query itself only when it cannot fit on its own", async () => {
+  const pane = loadBudgetPane();
+  const { userQuery, history } = await pane.call("applySessionBudget", "q".repeat(8000), "sys", [{ role: "user", parts: [{ text: "earlier" }] }], "context");
+  assert.ok(userQuery.startsWith("qqq"));
+  assert.ok(!userQuery.includes("context"));
+  assert.deepEqual(history, []);
+  assert.ok(await pane.call("estimateTokens", userQuery) <= 2100 - 1024 - 1);
+});
+
+test("applySessionBudget sends context and query unchanged when they fit, and refuses by default", async () => {
+  assert.equal((await loadBudgetPane().call("applySessionBudget", "question", "sys", undefined, "context\n\n")).userQuery, "context\n\nquestion");
+  await assert.rejects(loadBudgetPane("refuse").call("applySessionBudget", "q".repeat(8000), "sys", undefined, ""), { name: "BudgetError" });
+});
+
+test("the OpenAI and Azure adapters ask for a usage chunk on streamed requests", async () => {
+  const pane = loadPane();
+  for (const provider of ["openai", "azure"]) {
+    pane.context.__provider = provider;
+    const payload = JSON.parse(pane.run(`JSON.stringify(getProviderAdapter(__provider).buildPayload({ userQuery: "Hi", systemInstruction: "sys", stream: true }))`));
+    assert.equal(payload.stream, true, provider);
+    assert.deepEqual(payload.stream_options, { include_usage: true }, provider);
+  }
+});
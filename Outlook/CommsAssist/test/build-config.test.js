@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { VERBATIM_PATHS, buildConfig } from "../src/build/build-config.js";
+import { loadPane } from "./helpers/load-pane.js";
+
+/** Build the shipped config with overrides merged in as a profile overlay. */
+function buildWith(overlay, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "commsassist-config-"));
+  try {
+    fs.copyFileSync(new URL("../src/outlook/resources/config.json", import.meta.url), path.join(dir, "config.json"));
+    fs.writeFileSync(path.join(dir, "config.extra.json"), JSON.stringify(overlay));
+    return buildConfig({ profile: "extra", env, resourcesDir: dir });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("VERBATIM_PATHS lists the prompt and regex values of the pane's CONFIG_SCHEMA", () => {
+  const paths = loadPane().run(`(() => {
+    const out = [];
+    const walk = (schema, at) => {
+      if (schema === PROMPT_SCHEMA || schema.format === "regex") { out.push(at); return; }
+      if (schema.items) walk(schema.items, at + "[]");
+      for (const [k, v] of Object.entries(schema.properties || {})) walk(v, at ? at + "." + k : k);
+    };
+    walk(CONFIG_SCHEMA, "");
+    return JSON.stringify(out);
+  })()`);
+  assert.deepEqual([...VERBATIM_PATHS].sort(), JSON.parse(paths).sort());
+});
+
+test("buildConfig leaves prompts and regex values alone", () => {
+  const overlay = {
+    send_check_placeholder_pattern: "\\{\\{[^}]+\\}\\}|<ENTER[^>]*>",
+    redaction_patterns: [{ name: "TEMPLATE", pattern: "\\$\\{name\\}" }],
+    chatSystemPrompt: "Fill in ${name} and <ENTER DATE> for the user.",
+    teamPrompt: ["Greet ${name}."],
+    personas: [{ id: "templated", systemPrompt: ["Sign as ${SIGNER}."] }, { id: "team", systemPromptKey: "teamPrompt" }]
+  };
+  const config = buildWith(overlay);
+  assert.equal(config.send_check_placeholder_pattern, overlay.send_check_placeholder_pattern);
+  assert.equal(config.redaction_patterns[0].pattern, "\\$\\{name\\}");
+  assert.equal(config.chatSystemPrompt, overlay.chatSystemPrompt);
+  assert.deepEqual(config.teamPrompt, ["Greet ${name}."]);
+  assert.deepEqual(config.personas[0].systemPrompt, ["Sign as ${SIGNER}."]);
+});
+
+test("buildConfig still substitutes and checks every other value", () => {
+  assert.equal(buildWith({ proxy_gen_endpoint: "${PROXY:-/api/gen}", helpUrl: "${HELP}" }, { HELP: "https://help.example" }).helpUrl, "https://help.example");
+  assert.throws(() => buildWith({ helpUrl: "${HELP}" }), /Environment variables not set: HELP/);
+  assert.throws(() => buildWith({ google_api_key: "<ENTER KEY>" }), /Placeholder values left in: google_api_key/);
+  assert.throws(() => buildWith({ personas: [{ id: "p", signature: "<ENTER SIGNATURE>" }] }), /personas\[0\]\.signature/);
+});
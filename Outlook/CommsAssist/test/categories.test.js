@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadPane } from "./helpers/load-pane.js";
+
+const ANALYSIS = { sentiment: "Negative", urgency: "High", intention: "Complaint" };
+
+test("matchCategoryRules matches a list value against any of its labels, ignoring case", async () => {
+  const pane = loadPane();
+  const rules = [
+    { category: "Escalate", color: "Preset0", when: { urgency: ["high", "Critical"] } },
+    { category: "Calm", when: { sentiment: ["Positive", "Neutral"] } }
+  ];
+  assert.deepEqual(await pane.call("matchCategoryRules", ANALYSIS, rules), [{ displayName: "Escalate", color: "Preset0" }]);
+});
+
+test("matchCategoryRules needs every field in when to match", async () => {
+  const pane = loadPane();
+  const rules = [
+    { category: "Angry customer", color: "Preset1", when: { sentiment: "Negative", intention: ["Complaint", "Refund"] } },
+    { category: "Urgent praise", when: { sentiment: "Positive", urgency: "High" } }
+  ];
+  assert.deepEqual(await pane.call("matchCategoryRules", ANALYSIS, rules), [{ displayName: "Angry customer", color: "Preset1" }]);
+});
+
+test("matchCategoryRules skips rules without taxonomy fields and keeps the first rule per category", async () => {
+  const pane = loadPane();
+  const rules = [
+    { category: "Anything", when: {} },
+    { category: "Unknown field", when: { language: "English" } },
+    { category: "Triage", color: "NotAColour", when: { urgency: "High" } },
+    { category: " triage ", color: "Preset5", when: { sentiment: "Negative" } }
+  ];
+  assert.deepEqual(await pane.call("matchCategoryRules", ANALYSIS, rules), [{ displayName: "Triage", color: "None" }]);
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { loadPane } from "./helpers/load-pane.js";
+
+const BASE_CONFIG = JSON.parse(fs.readFileSync(new URL("../src/outlook/resources/config.json", import.meta.url), "utf8"));
+
+/** Errors validateConfig reports for the shipped config.json with overrides applied. */
+async function configErrors(overrides) {
+  const problems = await loadPane().call("validateConfig", { ...BASE_CONFIG, ...overrides });
+  return problems.filter((p) => p.level === "error");
+}
+
+test("the shipped config.json validates", async () => {
+  assert.deepEqual(await configErrors({}), []);
+});
+
+test("placeholders left in URLs and keys are errors", async () => {
+  const errors = await configErrors({ proxy_gen_endpoint: "${COMMSASSIST_PROXY_ENDPOINT}", google_api_key: "<ENTER KEY>" });
+  assert.deepEqual(errors.map((e) => e.path).sort(), ["google_api_key", "proxy_gen_endpoint"]);
+});
+
+test("regex values and prompts may contain placeholder-like text", async () => {
+  const errors = await configErrors({
+    send_check_placeholder_pattern: "\\{\\{[^}]+\\}\\}|<ENTER[^>]*>",
+    redaction_patterns: [{ name: "TEMPLATE", pattern: "\\$\\{name\\}" }],
+    chatSystemPrompt: "Fill in ${name} and <ENTER DATE> for the user.",
+    personas: [...BASE_CONFIG.personas, { id: "templated", systemPrompt: ["Greet ${name}."] }]
+  });
+  assert.deepEqual(errors, []);
+});
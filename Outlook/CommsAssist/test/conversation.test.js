@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadPane } from "./helpers/load-pane.js";
+
+const user = (text) => ({ role: "user", parts: [{ text }] });
+const model = (text) => ({ role: "model", parts: [{ text }] });
+const call = (name) => ({ role: "model", parts: [{ functionCall: { name, args: { htmlContent: "<p>Draft</p>" } } }] });
+const result = (name) => ({ role: "user", parts: [{ functionResponse: { name, response: { result: "Draft updated in compose window." } } }] });
+
+/** A user turn whose tool call round trip comes first, followed by two plain exchanges. */
+const TURNS = [
+  user("Make it shorter."), call("setDraftBody"), result("setDraftBody"), model("Done."),
+  user("Thanks. Now make it friendlier."), model("Sure, how friendly?"),
+  user("Very."), model("Updated.")
+];
+
+test("trimConversation never starts on a function response or a model turn", async () => {
+  const pane = loadPane();
+  // Every budget that drops the first turn would otherwise leave the tool round trip at the front.
+  for (let budget = 1; budget <= 200; budget++) {
+    const trimmed = await pane.call("trimConversation", TURNS, budget);
+    if (!trimmed.length) continue;
+    assert.equal(trimmed[0].role, "user", `budget ${budget}`);
+    assert.ok(!trimmed[0].parts.some((p) => p.functionResponse), `budget ${budget}`);
+  }
+});
+
+test("trimConversation drops the oldest turns first and keeps the rest in order", async () => {
+  const pane = loadPane();
+  const budget = TURNS.slice(4).reduce((n, t) => n + Math.ceil(JSON.stringify(t.parts).length / 4), 0);
+  assert.deepEqual(await pane.call("trimConversation", TURNS, budget), TURNS.slice(4));
+  assert.deepEqual(await pane.call("trimConversation", TURNS, 100000), TURNS);
+});
+
+test("trimConversation caps the turn count and returns nothing without a plain user turn", async () => {
+  const pane = loadPane();
+  const long = Array.from({ length: 60 }, (_, i) => (i % 2 ? model(`a${i}`) : user(`q${i}`)));
+  const trimmed = await pane.call("trimConversation", long, 100000);
+  assert.ok(trimmed.length <= 50);
+  assert.deepEqual(trimmed.at(-1), long.at(-1));
+  assert.deepEqual(await pane.call("trimConversation", [call("setDraftBody"), result("setDraftBody"), model("Done.")], 100000), []);
+});
@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadPane } from "./helpers/load-pane.js";
+
+const CURRENT = "<p>Hi Sam,</p><p>The report is late.</p>";
+const PROPOSED = "<p>Hi Samira,</p><p>The report is ready.</p>";
+const FIRST_REJECTED = "<p>Hi Sam,</p><p>The report is ready.</p>";
+
+/**
+ * Rebuild HTML from hunks, keeping the current text for the change hunks listed in rejected.
+ * Mirrors what Accept selected applies.
+ */
+function rebuild(hunks, rejected = new Set()) {
+  let change = -1;
+  return hunks.map((h) => {
+    if (h.equal) return h.equal.join("");
+    change++;
+    return (rejected.has(change) ? h.removed : h.added).join("");
+  }).join("");
+}
+
+test("diffTokens hunks rebuild the proposed HTML when kept and the current HTML when rejected", async () => {
+  const pane = loadPane();
+  pane.context.__html = [CURRENT, PROPOSED];
+  const hunks = await pane.call("(() => groupDiffHunks(diffTokens(tokenizeHtml(__html[0]), tokenizeHtml(__html[1]))))");
+  assert.equal(rebuild(hunks), PROPOSED);
+  assert.equal(rebuild(hunks, new Set(hunks.map((h, i) => i))), CURRENT);
+});
+
+test("groupDiffHunks keeps equal runs apart from change hunks", async () => {
+  const pane = loadPane();
+  const ops = [
+    { type: "equal", token: "a" }, { type: "equal", token: " " },
+    { type: "remove", token: "b" }, { type: "add", token: "c" }, { type: "add", token: "d" },
+    { type: "equal", token: "e" }, { type: "add", token: "f" }
+  ];
+  assert.deepEqual(await pane.call("groupDiffHunks", ops), [
+    { equal: ["a", " "] }, { removed: ["b"], added: ["c", "d"] }, { equal: ["e"] }, { removed: [], added: ["f"] }
+  ]);
+});
+
+test("rejecting one hunk keeps the current text for that hunk only", async () => {
+  const pane = loadPane();
+  pane.context.__html = [CURRENT, PROPOSED];
+  const hunks = await pane.call("(() => groupDiffHunks(diffTokens(tokenizeHtml(__html[0]), tokenizeHtml(__html[1]))))");
+  assert.equal(hunks.filter((h) => !h.equal).length, 2);
+  assert.equal(rebuild(hunks, new Set([0])), FIRST_REJECTED);
+});
+
+test("reviewDraftChange applies Accept, Reject and Accept selected", async () => {
+  const pane = loadPane();
+  pane.context.__html = [CURRENT, PROPOSED];
+  const click = (id) => pane.run(`document.getElementById("${id}").onclick()`);
+
+  let pending = pane.run("reviewDraftChange(__html[0], __html[1])");
+  assert.equal(pane.run("document.getElementById('draftReview').classList.contains('hidden')"), false);
+  click("draftReviewAccept");
+  assert.equal(await pending, PROPOSED);
+
+  pending = pane.run("reviewDraftChange(__html[0], __html[1])");
+  click("draftReviewReject");
+  assert.equal(await pending, null);
+
+  pending = pane.run("reviewDraftChange(__html[0], __html[1])");
+  pane.run(`document.querySelector("#draftReviewDiff input[data-hunk]").checked = false`);
+  click("draftReviewAcceptSelected");
+  assert.equal(await pending, FIRST_REJECTED);
+  assert.equal(pane.run("document.getElementById('draftReview').classList.contains('hidden')"), true);
+});
+
+test("Accept selected falls back to the whole draft when a kept hunk would leave tags unbalanced", async () => {
+  const pane = loadPane();
+  // The <b> opens in a hunk with text and closes in a markup-only hunk that is always kept.
+  pane.context.__html = ["<p>Hello team</p><p>Bye</p>", "<p>Hello <b>whole team</b></p><p>Bye</p>"];
+  const click = (id) => pane.run(`document.getElementById("${id}").onclick()`);
+  let settled = false;
+  const pending = pane.run("reviewDraftChange(__html[0], __html[1])").then((html) => { settled = true; return html; });
+
+  pane.run(`document.querySelector("#draftReviewDiff input[data-hunk]").checked = false`);
+  click("draftReviewAcceptSelected");
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(settled, false);
+  assert.equal(pane.run("document.getElementById('draftReviewAcceptSelected').disabled"), true);
+  assert.match(pane.run("document.getElementById('draftReviewSummary').textContent"), /accepted or rejected together/);
+
+  click("draftReviewAccept");
+  assert.equal(await pending, "<p>Hello <b>whole team</b></p><p>Bye</p>");
+  assert.equal(pane.run("document.getElementById('draftReviewAcceptSelected').disabled"), true);
+  pane.run("reviewDraftChange(__html[0], __html[1])");
+  assert.equal(pane.run("document.getElementById('draftReviewAcceptSelected').disabled"), false);
+});
+
+test("tagsBalanced accepts void and self-closing tags and rejects crossed or stray ones", async () => {
+  const pane = loadPane();
+  const balanced = (html) => pane.run(`tagsBalanced(tokenizeHtml(${JSON.stringify(html)}))`);
+  assert.equal(balanced("<p>a<br>b<img src=\"x.png\"/><!-- note --></p>"), true);
+  assert.equal(balanced("<p><b>a</p></b>"), false);
+  assert.equal(balanced("<p>a</b></p>"), false);
+  assert.equal(balanced("<p><b>a</p>"), false);
+});
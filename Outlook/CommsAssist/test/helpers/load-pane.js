@@ -0,0 +1,81 @@
+/**
+ * Load src/outlook/pane.js into a sandbox for unit tests.
+ *
+ * pane.js is a classic browser script, so it runs in a vm context with a linkedom window
+ * and just enough of Office.js for the top-level code to load. Office.onReady never fires.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import { fileURLToPath } from "node:url";
+import { DOMParser as LinkedomParser, parseHTML } from "linkedom";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const PANE_JS = path.join(ROOT, "src/outlook/pane.js");
+const LAUNCHEVENT_JS = path.join(ROOT, "src/outlook/launchevent.js");
+const PANE_HTML = path.join(ROOT, "src/outlook/resources/pane.html");
+
+/**
+ * linkedom only fills document.body when the markup is a whole document; browsers put
+ * a bare fragment into the body, which is what sanitizeHtml relies on.
+ */
+class BrowserLikeDOMParser {
+  parseFromString(markup, type) {
+    const text = String(markup);
+    const wrapped = /<html[\s>]/i.test(text) ? text : `<!DOCTYPE html><html><head></head><body>${text}</body></html>`;
+    return new LinkedomParser().parseFromString(wrapped, type);
+  }
+}
+
+/** In-memory localStorage. */
+function createStorage() {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => { data.set(k, String(v)); },
+    removeItem: (k) => { data.delete(k); }
+  };
+}
+
+/**
+ * @param {{config?: Object<string, any>, launchevent?: boolean}} [opts] config seeds the pane's configMap;
+ *   launchevent appends launchevent.js the way npm-dist.sh bundles it.
+ * @returns {{run: (code: string) => any, call: (name: string, ...args: any[]) => Promise<any>, context: Object}}
+ *   run evaluates code inside the pane's scope; call awaits a pane function and returns a plain copy of
+ *   its result, so assert.deepEqual is not tripped up by the sandbox's own Array and Object.
+ */
+export function loadPane(opts = {}) {
+  const html = fs.readFileSync(PANE_HTML, "utf8").replace(/<script[^>]*><\/script>/g, "");
+  const { document } = parseHTML(html);
+  const localStorage = createStorage();
+  const Office = {
+    onReady() {},
+    context: {},
+    CoercionType: { Html: "html", Text: "text" },
+    AsyncResultStatus: { Succeeded: "succeeded", Failed: "failed" },
+    MailboxEnums: { ItemType: { Message: "message", MessageCompose: "compose" } }
+  };
+  // A plain object rather than linkedom's defaultView, which writes through to Node's globalThis.
+  const window = {
+    document, Office, localStorage, DOMParser: BrowserLikeDOMParser,
+    setTimeout, clearTimeout, TextDecoder, AbortController, atob,
+    addEventListener() {}, removeEventListener() {}
+  };
+  const context = vm.createContext({
+    window, document, Office, localStorage, DOMParser: BrowserLikeDOMParser,
+    console: { log() {}, warn() {}, error() {}, debug() {} },
+    setTimeout, clearTimeout, TextDecoder, TextEncoder, AbortController, URL,
+    fetch: async () => { throw new Error("fetch is not available in unit tests"); }
+  });
+  const source = fs.readFileSync(PANE_JS, "utf8") + (opts.launchevent ? `\n${fs.readFileSync(LAUNCHEVENT_JS, "utf8")}` : "");
+  vm.runInContext(source, context, { filename: PANE_JS });
+  const run = (code) => vm.runInContext(code, context);
+  for (const [key, value] of Object.entries(opts.config || {})) run(`configMap.set(${JSON.stringify(key)}, ${JSON.stringify(value)})`);
+  const call = async (name, ...args) => {
+    context.__args = args;
+    const result = await run(`${name}(...__args)`);
+    return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+  };
+  return { run, call, context };
+}
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadPane } from "./helpers/load-pane.js";
+
+/**
+ * Compose item stub with the parts runSendChecks reads.
+ * @param {{subject?:string, body?:string, attachments?:Array<Object>}} parts
+ */
+function composeItem({ subject = "", body = "", attachments = [] }) {
+  const ok = (value) => (cb) => cb({ status: "succeeded", value });
+  return {
+    subject: { getAsync: ok(subject) },
+    body: { getAsync: (type, cb) => ok(body)(cb) },
+    getAttachmentsAsync: ok(attachments)
+  };
+}
+
+/** Send-check sandbox with the tone check off unless rules say otherwise. */
+function loadSendChecks(rules = {}) {
+  return loadPane({ launchevent: true, config: { send_check_rules: { tone: "off", ...rules } } });
+}
+
+test("findPlaceholders finds template leftovers with the default pattern", async () => {
+  const pane = loadSendChecks();
+  assert.deepEqual(await pane.call("findPlaceholders", "Dear [NAME], see you on {{date}}. [NAME] <ENTER PHONE> TODO"), ["[NAME]", "{{date}}", "<ENTER PHONE>", "TODO"]);
+  assert.deepEqual(await pane.call("findPlaceholders", "Dear Sam, see you on Friday."), []);
+});
+
+test("findPlaceholders uses send_check_placeholder_pattern and falls back when it is invalid", async () => {
+  assert.deepEqual(await loadPane({ launchevent: true, config: { send_check_placeholder_pattern: "%%\\w+%%" } }).call("findPlaceholders", "Hi %%first%% [NAME]"), ["%%first%%"]);
+  assert.deepEqual(await loadPane({ launchevent: true, config: { send_check_placeholder_pattern: "([" } }).call("findPlaceholders", "Hi [NAME]"), ["[NAME]"]);
+});
+
+test("findSensitiveData only reports card numbers that pass the Luhn check", async () => {
+  const pane = loadSendChecks();
+  assert.deepEqual(await pane.call("findSensitiveData", "Card 4111 1111 1111 1111 please"), ["payment card number"]);
+  assert.deepEqual(await pane.call("findSensitiveData", "Order 4111 1111 1111 1112 shipped"), []);
+  assert.deepEqual(await pane.call("findSensitiveData", "SSN 123-45-6789, Password: hunter2"), ["US social security number", "password"]);
+});
+
+test("runSendChecks ignores subject tags and quoted history", async () => {
+  const pane = loadSendChecks();
+  const item = composeItem({
+    subject: "[EXTERNAL] Planning",
+    body: "Thanks, see you then.\n\nOn Mon, 5 Oct 2026 at 10:00, Carol White wrote:\n> Dear [NAME], card 4111 1111 1111 1111"
+  });
+  assert.deepEqual(await pane.call("runSendChecks", item), []);
+});
+
+test("runSendChecks reports each failing check at its configured level", async () => {
+  const pane = loadSendChecks({ attachment: "block", sensitive: "warn" });
+  const item = composeItem({ subject: "Report", body: "Dear [NAME], the report is attached. Card 4111 1111 1111 1111." });
+  const issues = await pane.call("runSendChecks", item);
+  assert.deepEqual(issues.map((i) => [i.rule, i.level]), [["placeholders", "block"], ["attachment", "block"], ["sensitive", "warn"]]);
+});
+
+test("runSendChecks skips checks set to off and counts only non-inline attachments", async () => {
+  const pane = loadSendChecks({ placeholders: "off" });
+  const withFile = composeItem({ body: "Dear [NAME], the file is attached.", attachments: [{ name: "report.pdf", isInline: false }] });
+  assert.deepEqual(await pane.call("runSendChecks", withFile), []);
+  const inlineOnly = composeItem({ body: "The file is attached.", attachments: [{ name: "logo.png", isInline: true }] });
+  assert.deepEqual((await pane.call("runSendChecks", inlineOnly)).map((i) => i.rule), ["attachment"]);
+});
+
+test("runSendChecks reports a hostile tone and fails open when the model call fails", async () => {
+  const pane = loadSendChecks({ tone: "warn" });
+  const item = composeItem({ body: "This is the last time I explain it to you." });
+  pane.run(`callGeminiAPI = async () => ({ text: JSON.stringify({ hostile: true, severity: "high", reason: "Condescending." }) })`);
+  assert.deepEqual(await pane.call("runSendChecks", item), [{ rule: "tone", level: "warn", message: "The tone may come across as hostile: Condescending." }]);
+  pane.run(`callGeminiAPI = async () => { throw new Error("offline"); }`);
+  assert.deepEqual(await pane.call("runSendChecks", item), []);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadPane } from "./helpers/load-pane.js";
+
+/** Run redactText in a fresh pane so placeholder numbering starts at 1. */
+const redact = (text) => loadPane().call("redactText", text);
+
+test("PHONE redacts numbers with a phone shape", async () => {
+  for (const phone of [
+    "+44 20 7946 0958",
+    "+1 (555) 123-4567",
+    "+49301234567",
+    "(020) 7946 0958",
+    "(555) 123-4567",
+    "555-123-4567",
+    "555.123.4567",
+    "020 7946 0958",
+    "07700 900123"
+  ]) {
+    assert.equal(await redact(`Call me on ${phone} today.`), "Call me on [[PHONE_1]] today.", phone);
+  }
+});
+
+test("PHONE leaves dates, times, versions and order numbers alone", async () => {
+  for (const text of [
+    "Sent 2026-10-18 14:30",
+    "2026-10-18T14:30:00Z",
+    "18/10/2026 14:30",
+    "18.10.2026 14:30:15",
+    "Build 20261018.1430",
+    "version 10.0.19045.3693",
+    "Order 123456789 shipped",
+    "Invoice INV-2026-004512",
+    "Ticket 4512-3301-77"
+  ]) {
+    assert.equal(await redact(text), text, text);
+  }
+});
+
+test("CARD redacts only numbers that pass the Luhn check", async () => {
+  assert.equal(await redact("Card 4111 1111 1111 1111 please"), "Card [[CARD_1]] please");
+  assert.equal(await redact("Ref 4111 1111 1111 1112 please"), "Ref 4111 1111 1111 1112 please");
+});
+
+test("luhnValid accepts 13 to 19 digit numbers with a valid checksum", async () => {
+  const pane = loadPane();
+  assert.equal(await pane.call("luhnValid", "4111-1111-1111-1111"), true);
+  assert.equal(await pane.call("luhnValid", "4111111111111112"), false);
+  assert.equal(await pane.call("luhnValid", "79927398713"), false, "valid checksum but too short for a card");
+  assert.equal(await pane.call("luhnValid", "4".padEnd(20, "0")), false, "too long for a card");
+});
@@ -0,0 +1,133 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DOMParser } from "linkedom";
+import { loadPane } from "./helpers/load-pane.js";
+
+const pane = loadPane();
+const sanitize = (html) => pane.run(`sanitizeHtml(${JSON.stringify(html)})`);
+
+/** Known XSS shapes, grouped by the sanitizer rule that has to stop them. */
+const XSS_CORPUS = {
+  "event handlers": [
+    "<p onclick=\"alert(1)\">x</p>",
+    "<img src=\"x\" onerror=\"alert(1)\">",
+    "<div ONMOUSEOVER=alert(1)>x</div>",
+    "<a href=\"https://example.com\" onfocus=alert(1) autofocus>x</a>",
+    "<body onload=alert(1)><p>x</p></body>",
+    "<details open ontoggle=alert(1)>x</details>"
+  ],
+  "script and javascript: URLs": [
+    "<script>alert(1)</script>",
+    "<a href=\"javascript:alert(1)\">x</a>",
+    "<a href=\"java\tscript:alert(1)\">x</a>",
+    "<a href=\"java&#x09;script:alert(1)\">x</a>",
+    "<a href=\" \u0001javascript:alert(1)\">x</a>",
+    "<a href=\"JaVaScRiPt:alert(1)\">x</a>",
+    "<a href=\"vbscript:msgbox(1)\">x</a>",
+    "<img src=\"javascript:alert(1)\">",
+    "<iframe src=\"javascript:alert(1)\"></iframe>",
+    "<object data=\"javascript:alert(1)\"></object>",
+    "<embed src=\"javascript:alert(1)\">",
+    "<form action=\"javascript:alert(1)\"><button>x</button></form>",
+    "<meta http-equiv=\"refresh\" content=\"0;url=javascript:alert(1)\">",
+    "<base href=\"javascript:alert(1)//\">"
+  ],
+  "svg and math": [
+    "<svg onload=alert(1)>",
+    "<svg><script>alert(1)</script></svg>",
+    "<svg><a xlink:href=\"javascript:alert(1)\"><text>x</text></a></svg>",
+    "<svg><animate attributeName=href to=javascript:alert(1) /></svg>",
+    "<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>",
+    "<math href=\"javascript:alert(1)\">x</math>",
+    "<math><maction actiontype=statusline xlink:href=javascript:alert(1)>x</maction></math>"
+  ],
+  "data: URLs": [
+    "<a href=\"data:text/html,<script>alert(1)</script>\">x</a>",
+    "<a href=\"data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==\">x</a>",
+    "<img src=\"data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+\">",
+    "<img src=\"data:text/html,<script>alert(1)</script>\">"
+  ],
+  "CSS url() and expression": [
+    "<p style=\"background-image: url(javascript:alert(1))\">x</p>",
+    "<p style=\"background-color: url(https://evil.example/track.png)\">x</p>",
+    "<p style=\"width: expression(alert(1))\">x</p>",
+    "<p style=\"color: red; behavior: url(x.htc)\">x</p>",
+    "<p style=\"-moz-binding: url(x.xml#xss)\">x</p>",
+    "<p style=\"color: \\75 rl(x)\">x</p>",
+    "<style>@import 'https://evil.example/x.css';</style><p>x</p>",
+    "<link rel=\"stylesheet\" href=\"https://evil.example/x.css\">"
+  ],
+  "noscript and template mutation": [
+    "<noscript><p title=\"</noscript><img src=x onerror=alert(1)>\"></noscript>",
+    "<template><img src=x onerror=alert(1)></template>",
+    "<template><script>alert(1)</script></template><p>x</p>",
+    "<noscript><style></noscript><img src=x onerror=alert(1)></style></noscript>",
+    "<p><template><noscript><img src=x onerror=alert(1)></noscript></template></p>",
+    "<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>",
+    "<table><td><template><svg><img src=x onerror=alert(1)></svg></template></td></table>"
+  ]
+};
+
+const SAFE_HREF = /^(https?:|mailto:|tel:|#|\/|[^:]*$)/i;
+const SAFE_SRC = /^(https?:|cid:|data:image\/(png|gif|jpe?g|webp);base64,|[^:]*$)/i;
+
+/**
+ * Re-parse sanitized output and check every surviving element is inert.
+ * @param {string} html
+ * @returns {Array<string>} Problems found.
+ */
+function findActiveContent(html) {
+  const doc = new DOMParser().parseFromString(`<!DOCTYPE html><html><head></head><body>${html}</body></html>`, "text/html");
+  const problems = [];
+  for (const el of doc.body.querySelectorAll("*")) {
+    const tag = el.tagName.toLowerCase();
+    if (!pane.run(`SANITIZE_ALLOWED_TAGS.has(${JSON.stringify(tag)})`)) problems.push(`<${tag}> survived`);
+    for (const attr of Array.from(el.attributes)) {
+      const name = attr.name.toLowerCase();
+      const value = attr.value.replace(/[\s\u0000-\u001f]/g, "");
+      if (name.startsWith("on")) problems.push(`${name} on <${tag}>`);
+      if (name === "href" && !SAFE_HREF.test(value)) problems.push(`href ${attr.value}`);
+      if (name === "src" && !SAFE_SRC.test(value)) problems.push(`src ${attr.value}`);
+      if (name === "style" && /url\s*\(|expression|behavior|binding|\\/i.test(attr.value)) problems.push(`style ${attr.value}`);
+    }
+  }
+  return problems;
+}
+
+for (const [group, cases] of Object.entries(XSS_CORPUS)) {
+  test(`sanitizeHtml neutralises ${group}`, () => {
+    for (const input of cases) {
+      const output = sanitize(input);
+      assert.deepEqual(findActiveContent(output), [], `${input} -> ${output}`);
+      assert.doesNotMatch(output, /<(script|svg|math|template|noscript|style|iframe|object|embed|form|meta|base|link)\b/i, `${input} -> ${output}`);
+      assert.doesNotMatch(output, /javascript:|vbscript:|onerror|onload/i, `${input} -> ${output}`);
+    }
+  });
+}
+
+test("sanitizeHtml keeps ordinary email markup", () => {
+  assert.equal(sanitize("<p>Hello <b>there</b></p>"), "<p>Hello <b>there</b></p>");
+  assert.equal(sanitize("<a href=\"https://example.com\">x</a>"), "<a href=\"https://example.com\">x</a>");
+  assert.equal(sanitize("<a href=\"mailto:a@example.com\">x</a>"), "<a href=\"mailto:a@example.com\">x</a>");
+  assert.equal(sanitize("<img src=\"cid:logo\" alt=\"Logo\">"), "<img src=\"cid:logo\" alt=\"Logo\">");
+  assert.equal(sanitize("<p style=\"color: red; font-weight: bold\">x</p>"), "<p style=\"color: red; font-weight: bold\">x</p>");
+});
+
+test("sanitizeHtml unwraps unknown tags but keeps their text", () => {
+  assert.equal(sanitize("<section><p>x</p></section>"), "<p>x</p>");
+  assert.equal(sanitize("<details>x</details>"), "x");
+});
+
+test("sanitizeHtml forces targeted links to open safely", () => {
+  const out = sanitize("<a href=\"https://example.com\" target=\"_self\">x</a>");
+  const link = new DOMParser().parseFromString(`<html><body>${out}</body></html>`, "text/html").querySelector("a");
+  assert.equal(link.getAttribute("href"), "https://example.com");
+  assert.equal(link.getAttribute("target"), "_blank");
+  assert.equal(link.getAttribute("rel"), "noopener noreferrer");
+});
+
+test("sanitizeHtml escapes the input as text when there is no DOMParser", () => {
+  const bare = loadPane();
+  bare.run("window.DOMParser = undefined");
+  assert.equal(bare.run("sanitizeHtml('<img src=x onerror=\"alert(1)\"> & co')"), "&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; co");
+});
@@ -0,0 +1,150 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { checkCaller, createProxyServer, createRateLimiter, readSettings, validatePayload } from "../src/server/server.js";
+
+const CHAT = { model: "gpt-4o-mini", messages: [{ role: "user", content: "Hello" }] };
+const ORIGIN = "https://addin.example.com";
+
+/** Stub OpenAI upstream that echoes what the proxy sent it. */
+let upstream;
+let upstreamUrl;
+let staticDir;
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ authorization: req.headers.authorization, body: JSON.parse(Buffer.concat(chunks).toString("utf8")) }));
+    });
+  });
+  await new Promise((resolve) => upstream.listen(0, "127.0.0.1", resolve));
+  upstreamUrl = `http://127.0.0.1:${upstream.address().port}/v1/chat/completions`;
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "commsassist-"));
+  staticDir = path.join(root, "public");
+  fs.mkdirSync(staticDir);
+  fs.writeFileSync(path.join(staticDir, "pane.html"), "<p>pane</p>");
+  fs.writeFileSync(path.join(root, "secret.txt"), "secret");
+});
+
+after(() => {
+  upstream.close();
+  fs.rmSync(path.dirname(staticDir), { recursive: true, force: true });
+});
+
+/**
+ * Start a proxy with the given environment on an ephemeral port, run fn against it and close it.
+ * @param {Object<string,string>} env
+ * @param {(send: (opts: {method?:string, path?:string, headers?:Object<string,string>, body?:string}) => Promise<{status:number, headers:Object, body:string}>) => Promise<void>} fn
+ */
+async function withProxy(env, fn) {
+  const settings = readSettings({ STATIC_DIR: staticDir, PROXY_ALLOWED_ORIGINS: ORIGIN, OPENAI_API_KEY: "sk-test", OPENAI_ENDPOINT_URL: upstreamUrl, ...env });
+  const server = createProxyServer(settings);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const send = ({ method = "POST", path: reqPath = "/api/gen", headers = {}, body } = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ host: "127.0.0.1", port: server.address().port, method, path: reqPath, headers }, (res) => {
+      const chunks = [];
+      res.on("data", (c) => chunks.push(c));
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString("utf8") }));
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+  try {
+    await fn(send);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+/** Headers of a pane request to the OpenAI upstream. */
+const openaiHeaders = (extra = {}) => ({ Origin: ORIGIN, "Content-Type": "application/json", "X-CommsAssist-Provider": "openai", ...extra });
+
+test("validatePayload accepts the OpenAI adapter's streamed request", () => {
+  assert.equal(validatePayload({ ...CHAT, stream: true, stream_options: { include_usage: true } }, "chat"), null);
+});
+
+test("validatePayload rejects chat keys outside the allowlist", () => {
+  assert.notEqual(validatePayload({ ...CHAT, user: "someone" }, "chat"), null);
+});
+
+test("checkCaller refuses a missing or foreign Origin and allows a listed one", () => {
+  const settings = readSettings({ PROXY_ALLOWED_ORIGINS: `${ORIGIN}/` });
+  assert.match(checkCaller({ headers: {} }, settings), /Missing Origin/);
+  assert.match(checkCaller({ headers: { origin: "https://evil.example" } }, settings), /not allowed/);
+  assert.equal(checkCaller({ headers: { origin: "HTTPS://ADDIN.EXAMPLE.COM" } }, settings), null);
+});
+
+test("checkCaller defaults to the proxy's own origin", () => {
+  const settings = readSettings({});
+  assert.equal(checkCaller({ headers: { origin: "https://proxy.example:3000", host: "proxy.example:3000" } }, settings), null);
+  assert.notEqual(checkCaller({ headers: { origin: "https://other.example", host: "proxy.example:3000" } }, settings), null);
+});
+
+test("createRateLimiter counts per key and resets with the window", () => {
+  let now = 0;
+  const limit = createRateLimiter(2, 60000, () => now);
+  assert.equal(limit("a"), 0);
+  assert.equal(limit("a"), 0);
+  assert.equal(limit("a"), 60);
+  assert.equal(limit("b"), 0);
+  now = 60000;
+  assert.equal(limit("a"), 0);
+  assert.equal(createRateLimiter(0, 60000)("a"), 0);
+});
+
+test("/api/gen forwards to the upstream with the server's key and pinned model", async () => {
+  await withProxy({ OPENAI_MODEL: "gpt-4o-mini" }, async (send) => {
+    const res = await send({ headers: openaiHeaders(), body: JSON.stringify({ ...CHAT, model: "gpt-4.5-preview" }) });
+    assert.equal(res.status, 200);
+    const echoed = JSON.parse(res.body);
+    assert.equal(echoed.authorization, "Bearer sk-test");
+    assert.equal(echoed.body.model, "gpt-4o-mini");
+  });
+});
+
+test("/api/gen refuses callers without an allowed Origin", async () => {
+  await withProxy({}, async (send) => {
+    assert.equal((await send({ headers: openaiHeaders({ Origin: "" }), body: JSON.stringify(CHAT) })).status, 403);
+    assert.equal((await send({ headers: openaiHeaders({ Origin: "https://evil.example" }), body: JSON.stringify(CHAT) })).status, 403);
+  });
+});
+
+test("/api/gen rejects unknown and unconfigured providers", async () => {
+  await withProxy({}, async (send) => {
+    assert.equal((await send({ headers: openaiHeaders({ "X-CommsAssist-Provider": "nope" }), body: JSON.stringify(CHAT) })).status, 400);
+    assert.equal((await send({ headers: openaiHeaders({ "X-CommsAssist-Provider": "gemini" }), body: JSON.stringify({ contents: [{}] }) })).status, 503);
+  });
+});
+
+test("/api/gen answers 413 for an oversized body", async () => {
+  await withProxy({ PROXY_MAX_BODY_BYTES: "100" }, async (send) => {
+    const res = await send({ headers: openaiHeaders(), body: JSON.stringify({ ...CHAT, messages: [{ role: "user", content: "x".repeat(1000) }] }) });
+    assert.equal(res.status, 413);
+  });
+});
+
+test("/api/gen answers 429 once a client passes the rate limit", async () => {
+  await withProxy({ PROXY_RATE_LIMIT: "1" }, async (send) => {
+    assert.equal((await send({ headers: openaiHeaders(), body: JSON.stringify(CHAT) })).status, 200);
+    const limited = await send({ headers: openaiHeaders(), body: JSON.stringify(CHAT) });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers["retry-after"]) > 0);
+  });
+});
+
+test("static files are served from STATIC_DIR and paths cannot leave it", async () => {
+  await withProxy({}, async (send) => {
+    const pane = await send({ method: "GET", path: "/" });
+    assert.equal(pane.status, 200);
+    assert.equal(pane.body, "<p>pane</p>");
+    assert.equal((await send({ method: "GET", path: "/..%2fsecret.txt" })).status, 403);
+    assert.equal((await send({ method: "GET", path: "/missing.js" })).status, 404);
+  });
+});
@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadPane } from "./helpers/load-pane.js";
+
+const OUTLOOK_THREAD = [
+  "Thanks, Thursday works.",
+  "",
+  "________________________________",
+  "From: Bob Jones",
+  "Sent: Tuesday, 6 October 2026 09:15",
+  "To: Alice Smith",
+  "Subject: RE: Planning",
+  "",
+  "Could we meet on Thursday instead?",
+  "",
+  "-----Original Message-----",
+  "From: Alice Smith",
+  "Sent: Monday, 5 October 2026 17:02",
+  "Subject: Planning",
+  "",
+  "Shall we plan the rollout on Wednesday?"
+].join("\n");
+
+const GMAIL_THREAD = [
+  "Sounds good.",
+  "",
+  "On Mon, 5 Oct 2026 at 10:00, Carol White wrote:",
+  "> Can you send the figures?",
+  "> They are due Friday."
+].join("\n");
+
+/**
+ * Pane sandbox with an in-memory "local" mail-data backend serving the given conversations.
+ * @param {Object<string, Array<Object>>} threads Messages keyed by conversationId.
+ * @param {Object<string, any>} [config]
+ */
+function loadThreadPane(threads, config = {}) {
+  const pane = loadPane({ config: { thread_backend: "local", ...config } });
+  pane.context.__threads = threads;
+  pane.run(`MAIL_DATA_BACKENDS.local = { label: "Test stand-in", async fetchConversation(id) { return (__threads[id] || []).slice(); } }`);
+  return pane;
+}
+
+test("splitQuotedHistory separates the latest message from Outlook quoted headers", async () => {
+  const pane = loadPane();
+  const { latest, quoted } = await pane.call("splitQuotedHistory", OUTLOOK_THREAD);
+  assert.equal(latest, "Thanks, Thursday works.");
+  assert.deepEqual(quoted, [
+    { from: "Bob Jones", sent: "Tuesday, 6 October 2026 09:15", body: "Could we meet on Thursday instead?" },
+    { from: "Alice Smith", sent: "Monday, 5 October 2026 17:02", body: "Shall we plan the rollout on Wednesday?" }
+  ]);
+});
+
+test("splitQuotedHistory understands 'On … wrote:' quotes and strips the > markers", async () => {
+  const pane = loadPane();
+  const { latest, quoted } = await pane.call("splitQuotedHistory", GMAIL_THREAD);
+  assert.equal(latest, "Sounds good.");
+  assert.deepEqual(quoted, [{ from: "Carol White", sent: "Mon, 5 Oct 2026 at 10:00", body: "Can you send the figures?\nThey are due Friday." }]);
+});
+
+test("splitQuotedHistory returns the whole body when nothing is quoted", async () => {
+  const pane = loadPane();
+  assert.deepEqual(await pane.call("splitQuotedHistory", "  Just one message.\r\n"), { latest: "Just one message.", quoted: [] });
+});
+
+test("assembleThread returns quoted history oldest first without a backend", async () => {
+  const pane = loadPane();
+  const { latest, earlier } = await pane.call("assembleThread", { conversationId: "c1" }, OUTLOOK_THREAD);
+  assert.equal(latest, "Thanks, Thursday works.");
+  assert.deepEqual(earlier.map((m) => m.from), ["Alice Smith", "Bob Jones"]);
+});
+
+test("assembleThread de-duplicates fetched and quoted copies of the same message", async () => {
+  const pane = loadThreadPane({ c1: [
+    { id: "m1", from: "Alice Smith", sent: "2026-10-05T17:02:00Z", body: "Shall we plan   the rollout\non Wednesday?" },
+    { id: "m2", from: "Bob Jones", sent: "2026-10-06T09:15:00Z", body: "> Could we meet on Thursday instead?" },
+    { id: "m3", from: "Me", sent: "2026-10-06T10:00:00Z", body: "Thanks, Thursday works." }
+  ] });
+  const { earlier } = await pane.call("assembleThread", { itemId: "m3", conversationId: "c1" }, OUTLOOK_THREAD);
+  // The fetched copies win (they carry ids), and the current item never appears as an earlier message.
+  assert.deepEqual(earlier.map((m) => m.id), ["m1", "m2"]);
+});
+
+test("assembleThread orders fetched messages by date, undated quoted ones first", async () => {
+  const pane = loadThreadPane({ c2: [
+    { id: "b", from: "B", sent: "2026-10-07T08:00:00Z", body: "Second" },
+    { id: "c", from: "C", sent: "2026-10-08T08:00:00Z", body: "Third" },
+    { id: "a", from: "A", sent: "2026-10-06T08:00:00Z", body: "First" }
+  ] });
+  const body = "Latest\n\nOn a quiet day, Dana wrote:\n> Undated quote";
+  const { earlier } = await pane.call("assembleThread", { itemId: "z", conversationId: "c2" }, body);
+  assert.deepEqual(earlier.map((m) => m.body), ["Undated quote", "First", "Second", "Third"]);
+});
+
+test("assembleThread keeps the newest thread_max_messages", async () => {
+  const pane = loadThreadPane({ c3: ["one", "two", "three", "four"].map((body, i) => ({ id: body, from: "X", sent: `2026-10-0${i + 1}T08:00:00Z`, body })) }, { thread_max_messages: 2 });
+  const { earlier } = await pane.call("assembleThread", { itemId: "now", conversationId: "c3" }, "Latest");
+  assert.deepEqual(earlier.map((m) => m.body), ["three", "four"]);
+});
+
+test("assembleThread spends thread_max_chars on the newest messages and cuts the oldest", async () => {
+  const pane = loadThreadPane({ c4: [
+    { id: "1", from: "X", sent: "2026-10-01T08:00:00Z", body: "a".repeat(50) },
+    { id: "2", from: "X", sent: "2026-10-02T08:00:00Z", body: "b".repeat(20) },
+    { id: "3", from: "X", sent: "2026-10-03T08:00:00Z", body: "c".repeat(15) }
+  ] }, { thread_max_chars: 30 });
+  const { earlier } = await pane.call("assembleThread", { itemId: "now", conversationId: "c4" }, "Latest");
+  assert.deepEqual(earlier.map((m) => m.body), ["b".repeat(15) + " …", "c".repeat(15)]);
+});
+
+test("assembleThread falls back to quoted history when the backend fails", async () => {
+  const pane = loadPane({ config: { thread_backend: "http" } });
+  const { earlier } = await pane.call("assembleThread", { conversationId: "c5" }, GMAIL_THREAD);
+  assert.deepEqual(earlier.map((m) => m.from), ["Carol White"]);
+});
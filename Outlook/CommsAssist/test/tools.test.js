@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadPane } from "./helpers/load-pane.js";
+
+/** Whether handleChatQuery would treat the message as an edit and force a tool call. */
+function isEdit(pane, message) {
+  pane.context.__message = message;
+  return pane.run("EDITING_INTENT_PATTERN.test(__message)");
+}
+
+test("EDITING_INTENT_PATTERN treats edit commands as edits", () => {
+  const pane = loadPane();
+  for (const message of [
+    "Rewrite this more politely",
+    "Change the subject to Q3 plan",
+    "Set the subject to Q3 plan",
+    "Add bob@example.com to cc",
+    "Include carol@example.com as a recipient",
+    "cc alice@example.com",
+    "Put a note at the top about the attachment"
+  ]) assert.equal(isEdit(pane, message), true, message);
+});
+
+test("EDITING_INTENT_PATTERN leaves questions about the email alone", () => {
+  const pane = loadPane();
+  for (const message of [
+    "Is there an attachment?",
+    "What is the subject about?",
+    "Who is on cc?",
+    "Which recipients have replied so far?",
+    "What is their email address?",
+    "Summarise the exchange so far",
+    "When did they attach the invoice?"
+  ]) assert.equal(isEdit(pane, message), false, message);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadPane } from "./helpers/load-pane.js";
+
+const pane = loadPane();
+const truncate = (html, max) => pane.call("truncateHtml", html, max);
+
+const EMAIL = [
+  "<p>Hello team,</p>",
+  "<p>The rollout moves to <b>Thursday</b> because the vendor needs another day.</p>",
+  "<table><tbody><tr><td>Site</td><td>Date</td></tr><tr><td>Leeds</td><td>Thursday</td></tr></tbody></table>",
+  "<blockquote><p>From: Bob</p><p>Can we move it?</p></blockquote>"
+].join("");
+
+test("truncateHtml returns HTML that already fits unchanged", async () => {
+  assert.equal(await truncate(EMAIL, EMAIL.length), EMAIL);
+});
+
+test("truncateHtml keeps whole blocks and never splits a tag", async () => {
+  for (let max = 10; max < EMAIL.length; max += 7) {
+    const out = await truncate(EMAIL, max);
+    assert.ok(out.length <= max, `${max}: ${out}`);
+    assert.doesNotMatch(out, /<[^>]*$/, `${max}: ${out}`);
+    // Well formed: parsing and serialising again gives the same markup.
+    assert.equal(pane.run(`sanitizeHtml(${JSON.stringify(out)})`), out, `${max}: ${out}`);
+  }
+});
+
+test("truncateHtml keeps the start of a block that does not fit, cut at a word", async () => {
+  const out = await truncate(EMAIL, 60);
+  assert.equal(out, "<p>Hello team,</p><p>The rollout moves to </p>");
+});
+
+test("truncateHtml enters nested markup rather than dropping it", async () => {
+  const out = await truncate("<div><p>First paragraph.</p><p>Second paragraph is longer.</p></div>", 40);
+  assert.equal(out, "<div><p>First paragraph.</p></div>");
+});